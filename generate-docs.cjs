@@ -27,21 +27,28 @@ function parseApis() {
       const params = api.params ? JSON.parse(api.params) : [];
       const task = api.task ? JSON.parse(api.task)[0] : {};
 
-      // 确定 HTTP 方法
-      const method = determineMethod(params, api.contentType);
+      // 确定 HTTP 方法（与运行时逻辑保持一致，配置了多个方法时示例使用第一个）
+      const methods = determineMethods(api, params);
+      const method = methods[0];
 
-      // 生成示例参数
+      // 路径参数（如 api/orders/:orderId/items 中的 orderId）
+      const pathParams = getPathParams(api.path, params);
+
+      // 生成示例参数（路径参数不放在请求体中）
       const example = generateExample(params, api.jsonParam);
+      pathParams.forEach(param => delete example[param.name]);
 
       return {
         id: api.id,
         name: api.name,
         path: api.path,
         method,
+        methods,
         contentType: api.contentType || 'application/x-www-form-urlencoded',
         group: groupNames[api.groupId] || '其他',
         groupId: api.groupId,
-        params,
+        params: params.filter(param => !pathParams.some(p => p.name === param.name)),
+        pathParams,
         example,
         note: api.note || api.name,
         transaction: task.transaction === 1,
@@ -52,11 +59,32 @@ function parseApis() {
   return apis;
 }
 
-function determineMethod(params, contentType) {
+function getPathParams(apiPath, params) {
+  const names = (apiPath.match(/:[A-Za-z_]\w*(?=\/|$)/g) || []).map(name => name.substring(1));
+  return names.map(name => {
+    const declared = params.find(param => param.name === name) || {};
+    return { name, type: declared.type || 'string', note: declared.note || '' };
+  });
+}
+
+function determineMethods(api, params) {
+  const supported = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+  const declared = (Array.isArray(api.method) ? api.method : String(api.method || '').split(','))
+    .map(m => String(m).trim().toUpperCase())
+    .filter(m => supported.includes(m));
+
+  if (declared.length > 0) {
+    return [...new Set(declared)];
+  }
+
+  // 未配置 method 时按 contentType 和参数推断
+  if (api.contentType === 'application/json' || api.contentType === 'application/x-www-form-urlencoded') {
+    return ['POST'];
+  }
   if (!params || params.length === 0) {
-    return 'GET';
+    return ['GET'];
   }
-  return 'POST';
+  return ['POST'];
 }
 
 function generateExample(params, jsonParam) {
@@ -104,7 +132,7 @@ function generateHtml(apis) {
 }
 
 function generateApiHtml(api) {
-  const methodClass = api.method === 'GET' ? 'method-get' : 'method-post';
+  const methodClass = `method-${api.method.toLowerCase()}`;
 
   const paramsHtml = api.params && api.params.length > 0 ? `
     <div class="detail-section">
@@ -132,6 +160,32 @@ function generateApiHtml(api) {
     </div>
   ` : '<div class="detail-section"><div class="detail-title">📌 请求参数</div><div class="detail-content">无参数</div></div>';
 
+  const pathParamsHtml = api.pathParams.length > 0 ? `
+    <div class="detail-section">
+      <div class="detail-title">🔗 路径参数</div>
+      <div class="detail-content">
+        <table class="param-table">
+          <thead>
+            <tr>
+              <th>参数名</th>
+              <th>类型</th>
+              <th>说明</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${api.pathParams.map(p => `
+              <tr>
+                <td><code>:${p.name}</code></td>
+                <td><span class="param-type">${p.type}</span></td>
+                <td>${p.note || '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  ` : '';
+
   const curlExample = generateCurlExample(api);
   const exampleData = api.example && Object.keys(api.example).length > 0
     ? JSON.stringify(api.example, null, 2)
@@ -140,7 +194,7 @@ function generateApiHtml(api) {
   return `
     <div class="api-item">
       <div class="api-header" onclick="this.parentElement.classList.toggle('active')">
-        <span class="api-method ${methodClass}">${api.method}</span>
+        <span class="api-method ${methodClass}">${api.methods.join('/')}</span>
         <span class="api-path">/${api.path}</span>
         <span class="api-name">${api.name}</span>
         ${api.transaction ? '<span class="badge badge-transaction">事务</span>' : ''}
@@ -165,6 +219,8 @@ function generateApiHtml(api) {
           <div class="detail-content">${api.contentType}</div>
         </div>
 
+        ${pathParamsHtml}
+
         ${paramsHtml}
 
         <div class="detail-section">
@@ -210,7 +266,11 @@ function generateApiHtml(api) {
 }
 
 function generateCurlExample(api) {
-  let curl = `curl -X ${api.method} http://47.104.72.198:3000/${api.path}`;
+  // 路径参数用示例值填充
+  const examplePath = api.path.replace(/:([A-Za-z_]\w*)(?=\/|$)/g, (match, name) =>
+    api.pathParams.find(p => p.name === name).type === 'string' ? 'example_value' : '1'
+  );
+  let curl = `curl -X ${api.method} http://47.104.72.198:3000/${examplePath}`;
 
   if (api.contentType) {
     curl += ` \\\n  -H "Content-Type: ${api.contentType}"`;
@@ -360,6 +420,9 @@ function generateFullHtml(totalCount, groupsHtml) {
 
         .method-get { background: #e3f2fd; color: #1976d2; border: 2px solid #bbdefb; }
         .method-post { background: #fff3e0; color: #f57c00; border: 2px solid #ffe0b2; }
+        .method-put { background: #e8f5e9; color: #388e3c; border: 2px solid #c8e6c9; }
+        .method-patch { background: #f3e5f5; color: #7b1fa2; border: 2px solid #e1bee7; }
+        .method-delete { background: #ffebee; color: #d32f2f; border: 2px solid #ffcdd2; }
 
         .api-path {
             flex: 1;
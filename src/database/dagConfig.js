@@ -0,0 +1,155 @@
+/**
+ * DAG 任务编排配置
+ * 对应 API 配置中的 dagData 字段（未配置时使用 graphData，兼容图形编辑器保存的节点和连线）
+ *
+ * 每个节点是一个 SQL 任务（datasourceId、sqlList、transaction，与 task 中的任务相同），
+ * 可以使用不同的数据源；没有依赖关系的节点并发执行
+ *
+ * 示例:
+ * {
+ *   "nodes": [
+ *     { "id": "order", "datasourceId": "ORDER_DB", "sqlList": [{"sqlText": "SELECT * FROM orders WHERE id = #{orderId}"}] },
+ *     { "id": "stock", "datasourceId": "STOCK_DB", "sqlList": [{"sqlText": "SELECT * FROM stock WHERE sku = #{order.sku}"}], "dependsOn": ["order"] },
+ *     { "id": "logs", "datasourceId": "LOG_DB", "sqlList": [{"sqlText": "SELECT * FROM order_logs WHERE order_id = #{orderId}"}] }
+ *   ],
+ *   "output": { "order": "order", "stock": "stock", "logs": "logs" }
+ * }
+ *
+ * - dependsOn: 依赖的节点ID；也可以用 edges（[{"source": "order", "target": "stock"}]）声明
+ * - resultMode: 节点结果的模式（last / all / named），默认 last
+ * - output: 响应中的键名 => 节点ID；为字符串时直接返回该节点的结果；不配置时返回所有节点的结果（以节点ID为键）
+ */
+
+import { RESULT_MODES } from './executor.js';
+
+/**
+ * 解析 API 的 DAG 配置
+ * @param {Object} api - API 配置
+ * @returns {Object|null} {nodes, output}，未配置 DAG 时返回 null
+ *   nodes 按配置顺序排列，每个节点包含 dependsOn（直接依赖）和 ancestors（所有上游节点）
+ * @throws {Error} JSON 无法解析、节点缺少必填项、依赖不存在或存在循环依赖时
+ */
+export function parseDagConfig(api) {
+  let dag = parseJsonField(api.dagData, 'dagData');
+
+  if (!dag) {
+    // graphData 只有包含可执行的节点时才作为 DAG 使用（否则只是图形编辑器的布局数据）
+    const graph = parseJsonField(api.graphData, 'graphData');
+    const hasTaskNodes = graph && Array.isArray(graph.nodes) &&
+      graph.nodes.some(node => node && Array.isArray((node.data || node).sqlList));
+    dag = hasTaskNodes ? graph : null;
+  }
+
+  if (!Array.isArray(dag && dag.nodes)) {
+    if (dag) {
+      throw new Error('DAG 缺少 nodes');
+    }
+    return null;
+  }
+
+  // 没有节点（如图形编辑器保存的空画布）时按 task 执行
+  if (dag.nodes.length === 0) {
+    return null;
+  }
+
+  // 图形编辑器的节点可以把任务配置放在 data 中
+  const nodes = dag.nodes.map(node => {
+    const config = { ...(node && node.data), ...node };
+    delete config.data;
+    return { ...config, dependsOn: [...(config.dependsOn || [])] };
+  });
+  const nodeById = new Map();
+
+  for (const node of nodes) {
+    if (!node.id) {
+      throw new Error('DAG 节点缺少 id');
+    }
+    if (nodeById.has(node.id)) {
+      throw new Error(`DAG 节点 ID 重复: ${node.id}`);
+    }
+    if (!node.datasourceId) {
+      throw new Error(`DAG 节点 ${node.id} 缺少 datasourceId`);
+    }
+    if (!Array.isArray(node.sqlList) || node.sqlList.length === 0) {
+      throw new Error(`DAG 节点 ${node.id} 缺少 sqlList`);
+    }
+    if (node.resultMode && !RESULT_MODES.includes(node.resultMode)) {
+      throw new Error(`DAG 节点 ${node.id} 不支持的结果模式: ${node.resultMode}`);
+    }
+    nodeById.set(node.id, node);
+  }
+
+  for (const { source, target } of dag.edges || []) {
+    if (!nodeById.has(target)) {
+      throw new Error(`DAG 连线的目标节点 ${target} 不存在`);
+    }
+    nodeById.get(target).dependsOn.push(source);
+  }
+
+  for (const node of nodes) {
+    node.dependsOn = [...new Set(node.dependsOn)];
+    for (const dep of node.dependsOn) {
+      if (!nodeById.has(dep)) {
+        throw new Error(`DAG 节点 ${node.id} 依赖的节点 ${dep} 不存在`);
+      }
+    }
+  }
+
+  collectAncestors(nodes, nodeById);
+
+  const output = dag.output === undefined ? null : dag.output;
+  const outputIds = typeof output === 'string' ? [output] : Object.values(output || {});
+  for (const id of outputIds) {
+    if (!nodeById.has(id)) {
+      throw new Error(`DAG 输出引用的节点 ${id} 不存在`);
+    }
+  }
+
+  return { nodes, output };
+}
+
+/**
+ * 计算每个节点的所有上游节点，同时检查循环依赖
+ */
+function collectAncestors(nodes, nodeById) {
+  const visiting = [];
+  const done = new Set();
+
+  const visit = (node) => {
+    if (done.has(node.id)) {
+      return node.ancestors;
+    }
+    if (visiting.includes(node.id)) {
+      const cycle = [...visiting.slice(visiting.indexOf(node.id)), node.id];
+      throw new Error(`DAG 中存在循环依赖: ${cycle.join(' -> ')}`);
+    }
+
+    visiting.push(node.id);
+    const ancestors = new Set();
+    for (const dep of node.dependsOn) {
+      ancestors.add(dep);
+      visit(nodeById.get(dep)).forEach(id => ancestors.add(id));
+    }
+    visiting.pop();
+
+    node.ancestors = [...ancestors];
+    done.add(node.id);
+    return node.ancestors;
+  };
+
+  nodes.forEach(visit);
+}
+
+function parseJsonField(value, field) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${field} 无法解析: ${error.message}`);
+  }
+}
@@ -5,32 +5,246 @@
 
 import poolManager from './pool.js';
 import { parseSql } from './queryParser.js';
+import { evaluateCondition, evaluateExpression } from './expressionEvaluator.js';
+import { normalizePagination, resolvePage, queryPage } from './pagination.js';
+import { openRowStream, createEmptyStream } from './streaming.js';
+import { normalizeQueryLimits, mergeQueryLimits, applyQueryLimits } from './queryLimits.js';
+import { Readable, finished } from 'stream';
+
+// 结果模式
+// - last: 返回最后一个 SQL 的结果（默认，DBAPI 的行为）
+// - all: 返回所有 SQL 的结果，以 SQL id 为键
+// - named: 只返回配置了 resultKey 的 SQL 的结果，以 resultKey 为键
+export const RESULT_MODES = ['last', 'all', 'named'];
+
+// 结果形状（只影响 SELECT 的结果）
+// - auto: 单行返回对象，多行返回数组（默认，DBAPI 的行为）
+// - list: 始终返回数组
+// - object: 返回第一行，没有结果时返回 404
+// - scalar: 返回第一行第一列的值，没有结果时返回 null
+// - column: 返回第一列组成的数组
+// - map: 以 keyBy 指定的列（默认第一列）为键，返回 {键: 行}，键重复时保留后面的行
+export const RESULT_SHAPES = ['auto', 'list', 'object', 'scalar', 'column', 'map'];
+
+/**
+ * 分页查询的原始结果（当前页的行和分页信息）
+ */
+class PageResult {
+  constructor(rows, info) {
+    this.rows = rows;
+    this.info = info;
+  }
+}
 
 /**
  * 执行API任务
+ * @param {string|Array} taskConfig - task 配置（JSON字符串或已解析的数组）
+ * @param {Object} requestParams - 请求参数
+ * @param {Object} options - 执行选项
+ * @param {Map} options.fragments - 可用的SQL片段，传递给 parseSql
+ * @param {string} options.resultMode - 结果模式（last / all / named），默认 last
+ * @param {string} options.resultShape - 结果形状（见 RESULT_SHAPES），SQL 配置了 resultShape 时以 SQL 的为准
+ * @param {string} options.keyBy - map 形状使用的列
+ * @param {Object} options.pagination - 自动分页配置（见 pagination.js），对最后一个SQL生效
+ * @param {Object} options.stream - 流式输出配置（见 streaming.js，已选定 format），对最后一个SQL生效，
+ *   此时返回输出流而不是结果
+ * @param {Object} options.limits - API 的查询超时和最大行数（见 queryLimits.js），未配置的项使用数据源的默认值
+ * @param {Set} options.recordedSteps - 结果需要作为参数记录的 SQL（见 collectRecordedSteps），不传时按 task 计算
+ *
+ * 每个 SQL 执行后，结果作为参数提供给后面的 SQL（按所有任务中的顺序编号为 step1、step2 ...，
+ * 配置了 resultKey 时也可以用 resultKey 引用），例如:
+ *   INSERT INTO orders ...;
+ *   INSERT INTO order_items (order_id, ...) VALUES (#{step1.insertId}, ...)
  */
-export async function executeApiTask(taskConfig, requestParams) {
+export async function executeApiTask(taskConfig, requestParams, options = {}) {
   const tasks = typeof taskConfig === 'string' ? JSON.parse(taskConfig) : taskConfig;
+  const resultMode = options.resultMode || 'last';
+
+  if (!RESULT_MODES.includes(resultMode)) {
+    throw new Error(`不支持的结果模式: ${resultMode}（可选: ${RESULT_MODES.join(', ')}）`);
+  }
+  checkResultShape(options.resultShape);
+
+  // 步骤结果写入参数副本，不修改调用方传入的请求参数
+  const state = { params: { ...requestParams }, step: 0 };
+  if (!options.recordedSteps) {
+    options = { ...options, recordedSteps: collectRecordedSteps(tasks, { fragments: options.fragments }) };
+  }
+
+  // 自动分页：对最后一个任务的最后一个SQL生效
+  const pagination = normalizePagination(options.pagination);
+  if (pagination && tasks.length > 0) {
+    const { sqlList = [] } = tasks[tasks.length - 1];
+    options = {
+      ...options,
+      page: { ...resolvePage(state.params, pagination), sqlItem: sqlList[sqlList.length - 1] }
+    };
+  }
+
+  // 流式输出：最后一个任务的最后一个SQL以行流方式执行
+  if (options.stream && tasks.length > 0) {
+    const lastTask = tasks[tasks.length - 1];
+    if (lastTask.transaction === 1) {
+      throw new Error('流式输出不能与事务同时使用');
+    }
+    const { sqlList = [] } = lastTask;
+    options = { ...options, stream: { ...options.stream, sqlItem: sqlList[sqlList.length - 1] } };
+  }
 
   // 支持多个任务（但通常只有一个）
-  const results = [];
+  const taskResults = [];
 
   for (const task of tasks) {
-    const { datasourceId, sqlList, transaction } = task;
+    taskResults.push(await executeTask(task, state, options));
+  }
 
-    if (transaction === 1) {
-      // 事务执行
-      const result = await executeTransaction(datasourceId, sqlList, requestParams);
-      results.push(result);
-    } else {
-      // 非事务执行
-      const result = await executeNonTransaction(datasourceId, sqlList, requestParams);
-      results.push(result);
+  if (options.stream) {
+    const lastResults = taskResults[taskResults.length - 1] || [];
+    const last = lastResults[lastResults.length - 1];
+    return last && last.rows instanceof Readable ? last.rows : createEmptyStream(options.stream);
+  }
+
+  return assembleResults(taskResults, resultMode, options);
+}
+
+/**
+ * 按 DAG 执行API任务
+ * 节点在所有依赖完成后立即开始，没有依赖关系的节点并发执行（可以使用不同的数据源）
+ * 上游节点的结果以节点ID为参数名提供给下游节点（与步骤结果相同，取节点最后一个SQL的结果），
+ * 例如 #{order.insertId}、#{order.rows}
+ *
+ * 某个节点失败后不再开始新的节点（包括依赖它的节点），等待正在执行的节点结束后再抛出第一个错误，
+ * 返回错误响应时不会还有节点占用连接或继续写入
+ *
+ * 注意：每个节点在各自的连接上执行，某个节点失败时已完成的节点（包括其事务）不会回滚
+ *
+ * @param {Object} dag - parseDagConfig 解析后的 DAG 配置
+ * @param {Object} requestParams - 请求参数
+ * @param {Object} options - 执行选项（同 executeApiTask，resultMode 按节点配置，节点配置了 resultShape / keyBy 时以节点的为准）
+ */
+export async function executeApiDag(dag, requestParams, options = {}) {
+  checkResultShape(options.resultShape);
+  if (!options.recordedSteps) {
+    options = { ...options, recordedSteps: collectRecordedSteps(dag.nodes, { fragments: options.fragments, dag: true }) };
+  }
+  const nodeById = new Map(dag.nodes.map(node => [node.id, node]));
+  // 有下游节点的节点才需要保留结果
+  const upstreamIds = new Set(dag.nodes.flatMap(node => node.ancestors));
+  const results = new Map();
+  const outputs = new Map();
+  const running = new Map();
+  let failure = null;
+
+  const run = (node) => {
+    if (!running.has(node.id)) {
+      running.set(node.id, (async () => {
+        await Promise.all(node.dependsOn.map(dep => run(nodeById.get(dep))));
+        if (failure) {
+          throw failure;
+        }
+
+        const state = { params: { ...requestParams }, step: 0 };
+        for (const ancestor of node.ancestors) {
+          state.params[ancestor] = outputs.get(ancestor);
+        }
+
+        const sqlResults = await executeTask(node, state, options);
+        results.set(node.id, assembleResults([sqlResults], node.resultMode || 'last', {
+          resultShape: node.resultShape || options.resultShape,
+          keyBy: node.keyBy || options.keyBy
+        }));
+        if (upstreamIds.has(node.id)) {
+          const last = sqlResults[sqlResults.length - 1];
+          outputs.set(node.id, last ? stepOutput(last.rows) : null);
+        }
+      })().catch(error => {
+        failure = failure || error;
+        throw error;
+      }));
     }
+    return running.get(node.id);
+  };
+
+  await Promise.allSettled(dag.nodes.map(run));
+  if (failure) {
+    throw failure;
   }
 
+  if (typeof dag.output === 'string') {
+    return results.get(dag.output);
+  }
+
+  const response = {};
+  if (dag.output) {
+    for (const [key, nodeId] of Object.entries(dag.output)) {
+      response[key] = results.get(nodeId);
+    }
+  } else {
+    for (const node of dag.nodes) {
+      response[node.id] = results.get(node.id);
+    }
+  }
+  return response;
+}
+
+/**
+ * 执行单个任务
+ * 查询限制: task（DAG 节点）的配置 > API 的配置 > 数据源的默认值
+ * @returns {Promise<Array<{sqlItem: Object, rows: any}>>} 每个SQL的原始结果
+ */
+function executeTask(task, state, options) {
+  const { datasourceId, sqlList, transaction } = task;
+  const limits = mergeQueryLimits(
+    normalizeQueryLimits(task),
+    options.limits,
+    poolManager.getQueryLimits(datasourceId)
+  );
+
+  if (transaction === 1) {
+    // 事务执行
+    return executeTransaction(datasourceId, sqlList, state, options, limits);
+  }
+
+  // 非事务执行
+  return executeNonTransaction(datasourceId, sqlList, state, options, limits);
+}
+
+/**
+ * 为连接加上查询限制（超时后通过数据源执行 KILL QUERY）
+ */
+function limitConnection(connection, datasourceId, limits) {
+  return applyQueryLimits(connection, limits, threadId => poolManager.killQuery(datasourceId, threadId));
+}
+
+function checkResultShape(resultShape) {
+  if (resultShape && !RESULT_SHAPES.includes(resultShape)) {
+    throw new Error(`不支持的结果形状: ${resultShape}（可选: ${RESULT_SHAPES.join(', ')}）`);
+  }
+}
+
+/**
+ * 按结果模式组装返回结果
+ * @param {Object} defaults - 默认的 resultShape / keyBy
+ */
+function assembleResults(taskResults, resultMode, defaults) {
+  if (resultMode === 'all') {
+    return collectAllResults(taskResults, defaults);
+  }
+
+  if (resultMode === 'named') {
+    return collectNamedResults(taskResults, defaults);
+  }
+
+  // 每个任务返回最后一个SQL的结果（DBAPI的行为）
+  const results = taskResults.map(sqlResults => {
+    if (sqlResults.length === 0) {
+      return formatResult(null);
+    }
+    const { sqlItem, rows } = sqlResults[sqlResults.length - 1];
+    return formatResult(rows, resolveShape(sqlItem, defaults));
+  });
+
   // 如果只有一个任务，返回该任务的结果
-  // 如果有多个SQL，返回最后一个SQL的结果（DBAPI的行为）
   if (results.length === 1) {
     return results[0];
   }
@@ -38,35 +252,257 @@ export async function executeApiTask(taskConfig, requestParams) {
   return results;
 }
 
+/**
+ * all 模式：所有 SQL 的结果，以 SQL id 为键
+ * 没有 id 或 id 重复时使用 sql1、sql2 ...（按所有任务中的顺序编号）
+ */
+function collectAllResults(taskResults, defaults) {
+  const result = {};
+  let n = 0;
+
+  for (const sqlResults of taskResults) {
+    for (const { sqlItem, rows } of sqlResults) {
+      n++;
+      const key = sqlItem.id && !(sqlItem.id in result) ? sqlItem.id : `sql${n}`;
+      result[key] = formatResult(rows, resolveShape(sqlItem, defaults));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * named 模式：只返回配置了 resultKey 的 SQL 的结果（如 {"header": {...}, "items": [...]}）
+ * 没有 resultKey 的 SQL（如中间步骤）不出现在结果中
+ */
+function collectNamedResults(taskResults, defaults) {
+  const result = {};
+
+  for (const sqlResults of taskResults) {
+    for (const { sqlItem, rows } of sqlResults) {
+      if (sqlItem.resultKey) {
+        result[sqlItem.resultKey] = formatResult(rows, resolveShape(sqlItem, defaults));
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 执行一个 SQL 步骤
+ *
+ * sqlList 中的每一项可以配置:
+ * - condition: 条件表达式（语法同 <if test>），不满足时跳过该步骤，例如 "step1.rowCount == 0"
+ * - foreach: 集合表达式，对集合中的每个元素执行一次，例如 "step1.rows"
+ *   item（默认 item）/ index 为循环变量名；配置了 condition 时每个元素分别判断
+ *
+ * @returns {Promise<any>} 原始结果；跳过（或循环集合为空）时返回 null
+ */
+async function runStep(connection, sqlItem, state, options) {
+  const { sqlText, condition, foreach } = sqlItem;
+
+  if (!foreach) {
+    if (condition && !evaluateCondition(condition, state.params)) {
+      return null;
+    }
+
+    // 解析SQL和参数
+    const { sql, params } = parseSql(sqlText, state.params, options);
+
+    if (options.page && options.page.sqlItem === sqlItem) {
+      // 分页查询的行数由 pageSize 限制，不受 maxRows 限制
+      const { rows, info } = await queryPage(connection.withoutRowLimit(), sql, params, options.page);
+      return new PageResult(rows, info);
+    }
+
+    if (options.stream && options.stream.sqlItem === sqlItem) {
+      return openRowStream(connection, sql, params, options.stream, convertBuffers);
+    }
+
+    const [rows] = await connection.execute(sql, params);
+    return rows;
+  }
+
+  if (options.stream && options.stream.sqlItem === sqlItem) {
+    throw new Error('流式输出的 SQL（最后一个 SQL）不能是循环步骤');
+  }
+
+  const { item = 'item', index } = sqlItem;
+  const data = evaluateExpression(foreach, state.params);
+
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data.map((value, i) => [i, value]);
+  } else if (data !== null && typeof data === 'object') {
+    entries = Object.entries(data);
+  } else {
+    entries = [];
+  }
+
+  const results = [];
+
+  for (const [key, value] of entries) {
+    // 循环变量只在本次执行中可见，不写入步骤参数
+    const vars = { ...state.params, [item]: value };
+    if (index) {
+      vars[index] = key;
+    }
+
+    if (condition && !evaluateCondition(condition, vars)) {
+      continue;
+    }
+
+    const { sql, params } = parseSql(sqlText, vars, options);
+    const [rows] = await connection.execute(sql, params);
+    results.push(rows);
+  }
+
+  return mergeLoopResults(results);
+}
+
+/**
+ * 合并循环步骤每次执行的结果
+ * - SELECT: 所有结果行拼接为一个结果集
+ * - INSERT/UPDATE/DELETE: affectedRows 累加，insertId 为最后一次的值，insertIds 为每次的值
+ */
+function mergeLoopResults(results) {
+  if (results.length === 0) {
+    return null;
+  }
+
+  if (results.every(Array.isArray)) {
+    return results.flat();
+  }
+
+  if (results.every(rows => rows && typeof rows === 'object' && 'affectedRows' in rows)) {
+    return {
+      affectedRows: results.reduce((sum, rows) => sum + rows.affectedRows, 0),
+      insertId: results[results.length - 1].insertId,
+      insertIds: results.map(rows => rows.insertId),
+      warningCount: results.reduce((sum, rows) => sum + (rows.warningCount || 0), 0)
+    };
+  }
+
+  return results;
+}
+
+/**
+ * 找出结果需要作为参数记录的 SQL（构建路由时计算一次）
+ * 只记录被后面的 SQL（包括 condition、foreach）以 stepN 或 resultKey 引用的步骤，
+ * 没有被引用的 SELECT 结果不再转换和复制；最后一个 SQL 没有后续步骤，不会被记录
+ * @param {Array} tasks - 任务列表；dag 为 true 时是 DAG 节点列表（每个节点单独编号）
+ * @param {Object} options
+ * @param {Map} options.fragments - 可用的SQL片段（片段中也可能引用步骤结果）
+ * @param {boolean} options.dag - 是否为 DAG 节点
+ * @returns {Set<Object>} 需要记录的 sqlList 项
+ */
+export function collectRecordedSteps(tasks, { fragments, dag = false } = {}) {
+  const recorded = new Set();
+  const fragmentText = fragments ? [...fragments.values()].join('\n') : '';
+  const sequences = dag
+    ? tasks.map(node => node.sqlList || [])
+    : [tasks.flatMap(task => (task && task.sqlList) || [])];
+
+  for (const sqlItems of sequences) {
+    sqlItems.forEach((sqlItem, i) => {
+      const later = sqlItems.slice(i + 1);
+      if (later.length === 0) {
+        return;
+      }
+
+      const text = later
+        .map(item => [item.sqlText, item.condition, item.foreach].filter(Boolean).join('\n'))
+        .concat(fragmentText)
+        .join('\n');
+      const names = [`step${i + 1}`, sqlItem.resultKey].filter(Boolean);
+
+      if (names.some(name => new RegExp(`(^|[^\\w.])${escapeRegExp(name)}(?!\\w)`).test(text))) {
+        recorded.add(sqlItem);
+      }
+    });
+  }
+
+  return recorded;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 记录步骤结果，供后面的 SQL 通过 #{stepN.xxx} 或 #{resultKey.xxx} 引用
+ * 没有被引用的步骤（见 collectRecordedSteps）只计入编号
+ */
+function recordStep(state, sqlItem, result, options) {
+  state.step++;
+
+  if (!options.recordedSteps.has(sqlItem)) {
+    return;
+  }
+
+  const output = stepOutput(result);
+  state.params[`step${state.step}`] = output;
+  if (sqlItem.resultKey) {
+    state.params[sqlItem.resultKey] = output;
+  }
+}
+
+/**
+ * 步骤结果作为参数时的值
+ * - INSERT/UPDATE/DELETE: {affectedRows, insertId, insertIds}
+ * - SELECT: 第一行的各列，以及 rows（全部行）和 rowCount（行数），同名的列会被覆盖
+ * - 跳过的步骤: null
+ */
+function stepOutput(result) {
+  const rows = result instanceof PageResult ? result.rows : result;
+
+  if (rows === null) {
+    return null;
+  }
+  if (rows && typeof rows === 'object' && 'affectedRows' in rows) {
+    return {
+      affectedRows: rows.affectedRows,
+      insertId: rows.insertId,
+      insertIds: rows.insertIds || [rows.insertId]
+    };
+  }
+  if (Array.isArray(rows)) {
+    const converted = convertBuffers(rows);
+    return { ...(converted[0] || {}), rows: converted, rowCount: converted.length };
+  }
+  return {};
+}
+
 /**
  * 执行事务（多个SQL在同一个事务中）
+ * @returns {Promise<Array<{sqlItem: Object, rows: any}>>} 每个SQL的原始结果
  */
-async function executeTransaction(datasourceId, sqlList, requestParams) {
+async function executeTransaction(datasourceId, sqlList, state, options, limits) {
   const pool = poolManager.getPool(datasourceId);
   const connection = await pool.getConnection();
 
   try {
+    const limited = limitConnection(connection, datasourceId, limits);
     await connection.beginTransaction();
 
-    let lastResult = null;
+    const sqlResults = [];
 
     for (const sqlItem of sqlList) {
-      const { sqlText } = sqlItem;
-
-      // 解析SQL和参数
-      const { sql, params } = parseSql(sqlText, requestParams);
-
-      // 执行SQL
-      const [rows] = await connection.execute(sql, params);
-      lastResult = rows;
+      // 执行SQL（按条件跳过或循环执行）
+      const rows = await runStep(limited, sqlItem, state, options);
+      sqlResults.push({ sqlItem, rows });
+      recordStep(state, sqlItem, rows, options);
     }
 
     await connection.commit();
 
-    // 返回最后一个SQL的结果
-    return formatResult(lastResult);
+    return sqlResults;
   } catch (error) {
-    await connection.rollback();
+    // 超时后连接可能已断开，回滚失败时仍抛出原错误
+    await connection.rollback().catch(rollbackError => {
+      console.error(`❌ 事务回滚失败 [${datasourceId}]:`, rollbackError.message);
+    });
     console.error(`❌ 事务执行失败 [${datasourceId}]:`, error.message);
     throw error;
   } finally {
@@ -82,34 +518,52 @@ async function executeTransaction(datasourceId, sqlList, requestParams) {
  * 重要：即使不开启事务，也必须在同一个连接中执行所有SQL
  * 原因：MySQL会话变量（@variable）只在同一连接的同一会话中有效
  * 例如：SET @v_id := NULL; SELECT ... INTO @v_id; 必须在同一连接中
+ * 新配置建议改用步骤结果（#{step1.xxx}）在SQL之间传递数据
+ * @returns {Promise<Array<{sqlItem: Object, rows: any}>>} 每个SQL的原始结果
  */
-async function executeNonTransaction(datasourceId, sqlList, requestParams) {
+async function executeNonTransaction(datasourceId, sqlList, state, options, limits) {
   const pool = poolManager.getPool(datasourceId);
   const connection = await pool.getConnection();  // ✅ 获取一个连接
+  let output = null;
 
   try {
-    let lastResult = null;
+    const limited = limitConnection(connection, datasourceId, limits);
+    const sqlResults = [];
 
     for (const sqlItem of sqlList) {
-      const { sqlText } = sqlItem;
-
-      // 解析SQL和参数
-      const { sql, params } = parseSql(sqlText, requestParams);
-
       // ✅ 在同一个连接上执行所有SQL（保证@变量有效）
-      const [rows] = await connection.execute(sql, params);
-      lastResult = rows;
+      const rows = await runStep(limited, sqlItem, state, options);
+      sqlResults.push({ sqlItem, rows });
+
+      // 流式输出的SQL是最后一个，结果不作为步骤参数
+      if (rows instanceof Readable) {
+        output = rows;
+        break;
+      }
+      recordStep(state, sqlItem, rows, options);
     }
 
-    // 返回最后一个SQL的结果
-    return formatResult(lastResult);
+    return sqlResults;
   } catch (error) {
     console.error(`❌ SQL执行失败 [${datasourceId}]:`, error.message);
     throw error;
   } finally {
-    // ✅ 释放连接前清理会话变量，防止连接池复用时的变量污染
-    await cleanupSessionVariables(connection);
-    connection.release();  // ✅ 最后释放连接
+    if (output) {
+      // 流式输出：输出结束后再释放连接；出错或客户端断开时连接上可能还有未读取的行，直接销毁
+      finished(output, async (error) => {
+        if (error) {
+          console.error(`❌ 流式输出中断 [${datasourceId}]:`, error.message);
+          connection.destroy();
+          return;
+        }
+        await cleanupSessionVariables(connection);
+        connection.release();
+      });
+    } else {
+      // ✅ 释放连接前清理会话变量，防止连接池复用时的变量污染
+      await cleanupSessionVariables(connection);
+      connection.release();  // ✅ 最后释放连接
+    }
   }
 }
 
@@ -166,11 +620,28 @@ function convertBuffers(data) {
   return data;
 }
 
+/**
+ * SQL 的结果形状：SQL 配置的优先，否则使用 API（或 DAG 节点）的配置
+ */
+function resolveShape(sqlItem, defaults = {}) {
+  return {
+    resultShape: sqlItem.resultShape || defaults.resultShape || 'auto',
+    keyBy: sqlItem.keyBy || defaults.keyBy
+  };
+}
+
 /**
  * 格式化结果
  * 兼容 DBAPI 的返回格式
+ * @param {any} rows - SQL 的原始结果
+ * @param {Object} shape - {resultShape, keyBy}，只影响 SELECT 的结果
  */
-function formatResult(rows) {
+function formatResult(rows, shape = {}) {
+  // 分页查询
+  if (rows instanceof PageResult) {
+    return { list: convertBuffers(rows.rows), ...rows.info };
+  }
+
   // 如果是 INSERT/UPDATE/DELETE，返回影响行数
   if (rows && typeof rows === 'object' && 'affectedRows' in rows) {
     return {
@@ -184,19 +655,53 @@ function formatResult(rows) {
   if (Array.isArray(rows)) {
     // ✅ 转换 Buffer 为字符串（解决 MySQL 用户变量返回 BINARY 的问题）
     const converted = convertBuffers(rows);
-
-    // 单行结果，直接返回对象
-    if (converted.length === 1) {
-      return converted[0];
-    }
-    // 多行结果，返回数组
-    return converted;
+    return shapeRows(converted, shape);
   }
 
   // 其他情况，转换后返回
   return convertBuffers(rows);
 }
 
+/**
+ * 按结果形状转换 SELECT 结果
+ */
+function shapeRows(rows, { resultShape = 'auto', keyBy } = {}) {
+  const firstColumn = row => (row && typeof row === 'object' ? row[Object.keys(row)[0]] : row);
+
+  switch (resultShape) {
+    case 'list':
+      return rows;
+
+    case 'object':
+      if (rows.length === 0) {
+        const error = new Error('未找到数据');
+        error.name = 'NotFoundError';
+        error.statusCode = 404;
+        throw error;
+      }
+      return rows[0];
+
+    case 'scalar':
+      return rows.length > 0 ? firstColumn(rows[0]) : null;
+
+    case 'column':
+      return rows.map(firstColumn);
+
+    case 'map': {
+      const map = {};
+      for (const row of rows) {
+        const key = keyBy ? row[keyBy] : firstColumn(row);
+        map[key] = row;
+      }
+      return map;
+    }
+
+    default:
+      // 单行结果，直接返回对象；多行结果，返回数组
+      return rows.length === 1 ? rows[0] : rows;
+  }
+}
+
 /**
  * 清理会话变量
  *
@@ -0,0 +1,412 @@
+/**
+ * 条件表达式求值器
+ * 用于 <if test="..."> 等动态SQL标签，支持 OGNL 常用子集
+ * 不使用 eval / new Function，只解析白名单语法
+ *
+ * 支持的语法：
+ * - 字面量: null, true, false, 数字, '字符串', "字符串"
+ * - 变量: name, user.name, list[0], list.size(), str.length
+ * - 比较: == != > >= < <= (以及 eq neq gt gte lt lte 别名)
+ * - 逻辑: and or not (以及 && || !)
+ * - 括号分组
+ */
+
+// 表达式AST缓存（同一个 test 表达式只解析一次）
+const astCache = new Map();
+const AST_CACHE_LIMIT = 2000;
+
+const KEYWORD_OPERATORS = {
+  and: '&&',
+  or: '||',
+  not: '!',
+  eq: '==',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+const LITERALS = {
+  null: null,
+  true: true,
+  false: false
+};
+
+/**
+ * 对表达式求值，返回布尔结果
+ * @param {string} expression - 表达式文本，例如: status != null and status != ''
+ * @param {Object} context - 变量上下文（请求参数）
+ * @returns {boolean}
+ */
+export function evaluateCondition(expression, context) {
+  return toBoolean(evaluateExpression(expression, context));
+}
+
+/**
+ * 对表达式求值，返回原始结果
+ * @param {string} expression - 表达式文本
+ * @param {Object} context - 变量上下文
+ * @returns {any}
+ */
+export function evaluateExpression(expression, context) {
+  return evaluateNode(parseExpression(expression), context || {});
+}
+
+/**
+ * 解析表达式（不求值），语法错误时抛出异常
+ * 用于配置校验
+ * @param {string} expression - 表达式文本
+ * @returns {Object} AST
+ */
+export function parseExpression(expression) {
+  let ast = astCache.get(expression);
+
+  if (!ast) {
+    ast = new Parser(tokenize(decodeEntities(expression)), expression).parse();
+    if (astCache.size >= AST_CACHE_LIMIT) {
+      astCache.clear();
+    }
+    astCache.set(expression, ast);
+  }
+
+  return ast;
+}
+
+/**
+ * 解码 XML 实体（兼容 MyBatis 写法: age &gt; 18）
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 词法分析
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // 字符串字面量
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          j++;
+        }
+        value += text[j];
+        j++;
+      }
+      if (j >= text.length) {
+        throw new Error(`表达式字符串未闭合: ${text}`);
+      }
+      tokens.push({ type: 'literal', value });
+      i = j + 1;
+      continue;
+    }
+
+    // 数字字面量
+    const numberMatch = /^-?\d+(\.\d+)?/.exec(text.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'literal', value: Number(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    // 标识符 / 关键字
+    const identMatch = /^[A-Za-z_$][\w$]*/.exec(text.slice(i));
+    if (identMatch) {
+      const word = identMatch[0];
+      if (word in KEYWORD_OPERATORS) {
+        tokens.push({ type: 'op', value: KEYWORD_OPERATORS[word] });
+      } else if (word in LITERALS) {
+        tokens.push({ type: 'literal', value: LITERALS[word] });
+      } else {
+        tokens.push({ type: 'ident', value: word });
+      }
+      i += word.length;
+      continue;
+    }
+
+    // 运算符和标点
+    const opMatch = /^(==|!=|>=|<=|&&|\|\||[><!()[\].])/.exec(text.slice(i));
+    if (opMatch) {
+      tokens.push({ type: 'op', value: opMatch[0] });
+      i += opMatch[0].length;
+      continue;
+    }
+
+    throw new Error(`表达式包含不支持的字符 "${ch}": ${text}`);
+  }
+
+  return tokens;
+}
+
+/**
+ * 递归下降语法分析
+ * 优先级: or < and < not < 比较 < 成员访问
+ */
+class Parser {
+  constructor(tokens, source) {
+    this.tokens = tokens;
+    this.source = source;
+    this.pos = 0;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new Error('表达式不能为空');
+    }
+    const node = this.parseOr();
+    if (this.pos < this.tokens.length) {
+      this.fail(`无法识别的内容 "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.matchOp('||')) {
+      left = { type: 'logical', op: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.matchOp('&&')) {
+      left = { type: 'logical', op: '&&', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.matchOp('!')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parsePrimary();
+    const token = this.peek();
+    if (token && token.type === 'op' && ['==', '!=', '>', '>=', '<', '<='].includes(token.value)) {
+      this.pos++;
+      return { type: 'compare', op: token.value, left, right: this.parsePrimary() };
+    }
+    return left;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      this.fail('表达式意外结束');
+    }
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const node = this.parseOr();
+      this.expectOp(')');
+      return node;
+    }
+
+    if (token.type === 'ident') {
+      return this.parseMember({ type: 'variable', name: token.value });
+    }
+
+    this.fail(`意外的 "${token.value}"`);
+  }
+
+  parseMember(object) {
+    let node = object;
+
+    while (true) {
+      if (this.matchOp('.')) {
+        const prop = this.next();
+        if (!prop || prop.type !== 'ident') {
+          this.fail('"." 后应为属性名');
+        }
+        // 兼容 OGNL 写法: list.size() / str.length()
+        if (this.matchOp('(')) {
+          this.expectOp(')');
+          if (prop.value !== 'size' && prop.value !== 'length') {
+            this.fail(`不支持的方法调用 ${prop.value}()`);
+          }
+          node = { type: 'size', object: node };
+        } else {
+          node = { type: 'member', object: node, property: prop.value };
+        }
+      } else if (this.matchOp('[')) {
+        const index = this.parseOr();
+        this.expectOp(']');
+        node = { type: 'index', object: node, index };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  matchOp(value) {
+    const token = this.peek();
+    if (token && token.type === 'op' && token.value === value) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectOp(value) {
+    if (!this.matchOp(value)) {
+      this.fail(`缺少 "${value}"`);
+    }
+  }
+
+  fail(message) {
+    throw new Error(`表达式语法错误: ${message} (${this.source})`);
+  }
+}
+
+/**
+ * 对AST节点求值
+ */
+function evaluateNode(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'variable':
+      return readProperty(context, node.name);
+
+    case 'member':
+      return readProperty(evaluateNode(node.object, context), node.property);
+
+    case 'index':
+      return readProperty(evaluateNode(node.object, context), evaluateNode(node.index, context));
+
+    case 'size': {
+      const value = evaluateNode(node.object, context);
+      if (value === null || value === undefined) {
+        return 0;
+      }
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        return Object.keys(value).length;
+      }
+      return value.length ?? 0;
+    }
+
+    case 'not':
+      return !toBoolean(evaluateNode(node.operand, context));
+
+    case 'logical': {
+      const left = toBoolean(evaluateNode(node.left, context));
+      if (node.op === '&&') {
+        return left && toBoolean(evaluateNode(node.right, context));
+      }
+      return left || toBoolean(evaluateNode(node.right, context));
+    }
+
+    case 'compare':
+      return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+
+    default:
+      throw new Error(`未知的表达式节点: ${node.type}`);
+  }
+}
+
+/**
+ * 安全读取属性（只读自有属性，避免访问原型链）
+ */
+function readProperty(target, key) {
+  if (target === null || target === undefined) {
+    return undefined;
+  }
+  if (typeof target === 'string' && key === 'length') {
+    return target.length;
+  }
+  if (typeof target !== 'object') {
+    return undefined;
+  }
+  if (Array.isArray(target) && key === 'length') {
+    return target.length;
+  }
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+}
+
+/**
+ * 比较运算
+ * null 与 undefined 视为相等；一侧为数字时按数值比较（兼容表单提交的字符串数字）
+ */
+function compare(op, left, right) {
+  const l = left === undefined ? null : left;
+  const r = right === undefined ? null : right;
+
+  if (op === '==' || op === '!=') {
+    const equal = looseEquals(l, r);
+    return op === '==' ? equal : !equal;
+  }
+
+  if (l === null || r === null) {
+    return false;
+  }
+
+  const [a, b] = (typeof l === 'number' || typeof r === 'number')
+    ? [Number(l), Number(r)]
+    : [l, r];
+
+  switch (op) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+function looseEquals(l, r) {
+  if (l === null || r === null) {
+    return l === r;
+  }
+  if ((typeof l === 'number' || typeof r === 'number') && l !== '' && r !== '') {
+    return Number(l) === Number(r);
+  }
+  if (typeof l === 'boolean' || typeof r === 'boolean') {
+    return String(l) === String(r);
+  }
+  return l === r;
+}
+
+/**
+ * 真值判断：null/undefined/false/0/''/空数组 为假
+ */
+function toBoolean(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
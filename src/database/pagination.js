@@ -0,0 +1,324 @@
+/**
+ * 自动分页
+ * 对应 API 配置中的 pagination 字段，对最后一个 SQL（查询）自动分页
+ *
+ * 配置示例:
+ *   "pagination": true
+ *   "pagination": { "defaultPageSize": 20, "maxPageSize": 100 }
+ *   "pagination": { "mode": "cursor", "sortKeys": ["created_at DESC", "id DESC"] }
+ *
+ * - offset（默认）: 请求参数 pageNum（从 1 开始，默认 1），先执行 COUNT 查询，再用 LIMIT/OFFSET 查询当前页，
+ *   返回 {list, total, pageNum, pageSize, pages}
+ * - cursor: 按 sortKeys 排序，请求参数 cursor 为上一页返回的 nextCursor，解码后作为绑定参数的 WHERE 条件，
+ *   避免深分页的 OFFSET 扫描，返回 {list, pageSize, nextCursor}（没有下一页时 nextCursor 为 null）
+ *
+ * 请求参数 pageSize 默认 defaultPageSize，超过 maxPageSize 时按 maxPageSize
+ */
+
+import { createParameterError } from './queryParser.js';
+
+export const PAGINATION_MODES = ['offset', 'cursor'];
+
+const DEFAULT_PAGINATION = {
+  mode: 'offset',
+  defaultPageSize: 20,
+  maxPageSize: 100
+};
+
+// 排序键只能是查询结果中的列名
+const SORT_COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * 将 pagination 字段统一为对象（兼容配置中的 JSON 字符串和 true）
+ * @param {boolean|string|Object} pagination
+ * @returns {Object|null} {mode, defaultPageSize, maxPageSize, sortKeys}，未开启分页时返回 null
+ *   sortKeys 为 [{column, desc}]（仅 cursor 模式）
+ */
+export function normalizePagination(pagination) {
+  if (!pagination || pagination === 'false') {
+    return null;
+  }
+
+  let config = pagination;
+  if (config === true || config === 'true') {
+    config = {};
+  } else if (typeof config === 'string') {
+    config = JSON.parse(config);
+  }
+
+  const result = { ...DEFAULT_PAGINATION, ...config };
+
+  for (const field of ['defaultPageSize', 'maxPageSize']) {
+    if (!Number.isInteger(result[field]) || result[field] < 1) {
+      throw new Error(`pagination.${field} 必须是正整数`);
+    }
+  }
+  if (result.defaultPageSize > result.maxPageSize) {
+    throw new Error('pagination.defaultPageSize 不能大于 maxPageSize');
+  }
+
+  if (!PAGINATION_MODES.includes(result.mode)) {
+    throw new Error(`不支持的分页方式: ${result.mode}（可选: ${PAGINATION_MODES.join(', ')}）`);
+  }
+
+  if (result.mode === 'cursor') {
+    result.sortKeys = normalizeSortKeys(result.sortKeys);
+  } else {
+    delete result.sortKeys;
+  }
+
+  return result;
+}
+
+/**
+ * 解析排序键
+ * 支持 "id"、"created_at DESC" 或 {"column": "created_at", "order": "desc"}
+ */
+function normalizeSortKeys(sortKeys) {
+  if (!Array.isArray(sortKeys) || sortKeys.length === 0) {
+    throw new Error('cursor 分页必须配置 sortKeys');
+  }
+
+  return sortKeys.map(key => {
+    let column;
+    let order;
+    if (typeof key === 'string') {
+      [column, order = 'asc'] = key.trim().split(/\s+/);
+    } else {
+      ({ column, order = 'asc' } = key || {});
+    }
+
+    if (!SORT_COLUMN_PATTERN.test(column || '')) {
+      throw new Error(`sortKeys 中的列名无效: ${column}`);
+    }
+    order = String(order).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error(`sortKeys 中 ${column} 的排序方向无效: ${order}（可选: asc, desc）`);
+    }
+
+    return { column, desc: order === 'desc' };
+  });
+}
+
+/**
+ * 从请求参数中读取分页参数
+ * @param {Object} params - 请求参数
+ * @param {Object} pagination - normalizePagination 的结果
+ * @returns {Object} offset: {mode, pageNum, pageSize}；cursor: {mode, pageSize, sortKeys, cursor}（cursor 为解码后的值，第一页为 null）
+ * @throws 参数不是正整数或 cursor 无效时抛出参数错误（400）
+ */
+export function resolvePage(params, pagination) {
+  const pageSize = Math.min(
+    readPositiveInteger(params, 'pageSize', pagination.defaultPageSize),
+    pagination.maxPageSize
+  );
+
+  if (pagination.mode === 'cursor') {
+    return {
+      mode: 'cursor',
+      pageSize,
+      sortKeys: pagination.sortKeys,
+      cursor: decodeCursor(params.cursor, pagination.sortKeys)
+    };
+  }
+
+  return {
+    mode: 'offset',
+    pageNum: readPositiveInteger(params, 'pageNum', 1),
+    pageSize
+  };
+}
+
+/**
+ * 执行分页查询
+ * @param {Connection} connection - MySQL连接
+ * @param {string} sql - 已解析的查询SQL（不含 LIMIT；cursor 模式下也不含 ORDER BY）
+ * @param {Array} params - 绑定参数
+ * @param {Object} page - resolvePage 的结果
+ * @returns {Promise<{rows: Array, info: Object}>} info 为响应中除 list 以外的分页信息
+ */
+export async function queryPage(connection, sql, params, page) {
+  const baseSql = sql.trim().replace(/;+$/, '');
+
+  return page.mode === 'cursor'
+    ? queryCursorPage(connection, baseSql, params, page)
+    : queryOffsetPage(connection, baseSql, params, page);
+}
+
+/**
+ * offset 分页：先查询总数，再查询当前页
+ */
+async function queryOffsetPage(connection, baseSql, params, page) {
+
+  const [countRows] = await connection.execute(
+    `SELECT COUNT(*) AS total FROM (${baseSql}) AS page_count`,
+    params
+  );
+  const total = Number(countRows[0].total);
+  const { pageNum, pageSize } = page;
+  const info = { total, pageNum, pageSize, pages: Math.ceil(total / pageSize) };
+
+  // 页码超出范围时不再查询
+  const offset = (pageNum - 1) * pageSize;
+  if (offset >= total) {
+    return { rows: [], info };
+  }
+
+  // LIMIT/OFFSET 已校验为整数，直接拼接（部分 MySQL 版本的预处理语句不支持 LIMIT ?）
+  const [rows] = await connection.execute(
+    `${baseSql} LIMIT ${pageSize} OFFSET ${offset}`,
+    params
+  );
+
+  return { rows, info };
+}
+
+/**
+ * cursor 分页：按排序键查询 cursor 之后的 pageSize + 1 行，多出的一行用于判断是否有下一页
+ * 原查询作为派生表，MySQL 会把外层的 WHERE 条件合并到原查询中，可以使用排序键上的索引
+ */
+async function queryCursorPage(connection, baseSql, params, page) {
+  const { sortKeys, cursor, pageSize } = page;
+
+  let where = '';
+  let cursorParams = [];
+  if (cursor) {
+    ({ condition: where, params: cursorParams } = buildKeysetCondition(sortKeys, cursor));
+    where = ` WHERE ${where}`;
+  }
+
+  const orderBy = sortKeys
+    .map(({ column, desc }) => `page_rows.\`${column}\`${desc ? ' DESC' : ''}`)
+    .join(', ');
+
+  const [rows] = await connection.execute(
+    `SELECT * FROM (${baseSql}) AS page_rows${where} ORDER BY ${orderBy} LIMIT ${pageSize + 1}`,
+    [...params, ...cursorParams]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const list = hasMore ? rows.slice(0, pageSize) : rows;
+
+  return {
+    rows: list,
+    info: {
+      pageSize,
+      nextCursor: hasMore ? encodeCursor(list[list.length - 1], sortKeys) : null
+    }
+  };
+}
+
+/**
+ * 构建"排在 cursor 之后"的条件
+ * 例如 sortKeys 为 created_at DESC, id DESC 时:
+ *   ((page_rows.`created_at` < ? OR page_rows.`created_at` IS NULL) OR (page_rows.`created_at` = ? AND page_rows.`id` < ?))
+ * MySQL 排序时 NULL 最小（升序在最前，降序在最后），排序键的值为 NULL 时按 IS NULL 比较，
+ * 否则 < / > 比较会漏掉排序键为 NULL 的行
+ */
+function buildKeysetCondition(sortKeys, cursor) {
+  const branches = [];
+  const params = [];
+
+  sortKeys.forEach(({ column, desc }, i) => {
+    const after = afterCondition(column, desc, cursor[i]);
+    if (!after) {
+      return;
+    }
+
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      const equal = equalCondition(sortKeys[j].column, cursor[j]);
+      parts.push(equal.sql);
+      params.push(...equal.params);
+    }
+    parts.push(after.sql);
+    params.push(...after.params);
+    branches.push(parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]);
+  });
+
+  // 降序排在最后的 NULL 之后没有行
+  if (branches.length === 0) {
+    return { condition: '1 = 0', params };
+  }
+
+  return { condition: `(${branches.join(' OR ')})`, params };
+}
+
+/**
+ * 排序键等于 cursor 中的值
+ */
+function equalCondition(column, value) {
+  const ref = `page_rows.\`${column}\``;
+  return value === null
+    ? { sql: `${ref} IS NULL`, params: [] }
+    : { sql: `${ref} = ?`, params: [value] };
+}
+
+/**
+ * 排序键排在 cursor 中的值之后，没有排在后面的值时返回 null
+ */
+function afterCondition(column, desc, value) {
+  const ref = `page_rows.\`${column}\``;
+
+  if (value === null) {
+    return desc ? null : { sql: `${ref} IS NOT NULL`, params: [] };
+  }
+
+  return desc
+    ? { sql: `(${ref} < ? OR ${ref} IS NULL)`, params: [value] }
+    : { sql: `${ref} > ?`, params: [value] };
+}
+
+/**
+ * 把最后一行的排序键编码为 cursor（base64url 编码的 JSON）
+ * 连接池配置了 dateStrings，日期列的值是字符串，可以直接编码
+ */
+function encodeCursor(row, sortKeys) {
+  const values = sortKeys.map(({ column }) => {
+    if (!(column in row)) {
+      throw new Error(`cursor 分页的排序键 ${column} 不在查询结果中`);
+    }
+    return row[column];
+  });
+
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * 解码请求中的 cursor
+ * @returns {Array|null} 排序键的值，未传 cursor 时返回 null
+ */
+function decodeCursor(cursor, sortKeys) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return null;
+  }
+
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (e) {
+    values = null;
+  }
+
+  if (!Array.isArray(values) || values.length !== sortKeys.length ||
+      values.some(value => value !== null && typeof value === 'object')) {
+    throw createParameterError('参数 cursor 无效');
+  }
+
+  return values;
+}
+
+function readPositiveInteger(params, name, defaultValue) {
+  const value = params[name];
+
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createParameterError(`参数 ${name} 必须是正整数`);
+  }
+
+  return number;
+}
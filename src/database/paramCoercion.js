@@ -0,0 +1,286 @@
+/**
+ * 参数类型转换
+ * query-string 和 form-urlencoded 提交的参数全部是字符串，
+ * 在绑定到SQL之前按参数定义的 type 转换为正确的类型，
+ * 例如 LIMIT #{pageSize} 需要整数，布尔值需要 1/0 而不是 "true"
+ *
+ * 支持的类型：
+ * - int / integer / long: 整数（超出安全整数范围时保留字符串，避免精度丢失）
+ * - number: 数字
+ * - float / double: 浮点数
+ * - decimal: 定点小数，保持字符串形式避免精度丢失
+ * - boolean / bool: true/false/1/0/yes/no/on/off
+ * - date: YYYY-MM-DD（兼容 YYYY/MM/DD）
+ * - datetime / timestamp: YYYY-MM-DD HH:mm:ss（兼容 ISO 8601，带时区时转换为东八区）
+ * - json: 绑定为 JSON 文本（用于 JSON 列）
+ * - array / list: 数组（兼容 JSON 字符串和逗号分隔字符串），可用 itemType 指定元素类型
+ * - object: 对象（兼容 JSON 字符串）
+ * - string: 字符串（数字、布尔值转为字符串）
+ */
+
+// 转换失败标记
+const INVALID = Symbol('invalid');
+
+// 与连接池的 timezone 配置保持一致（东八区）
+const TIMEZONE_OFFSET_MINUTES = 8 * 60;
+
+const TYPE_ALIASES = {
+  integer: 'int',
+  long: 'int',
+  double: 'float',
+  bool: 'boolean',
+  timestamp: 'datetime',
+  list: 'array'
+};
+
+const CONVERTERS = {
+  int: toInt,
+  number: toNumber,
+  float: toNumber,
+  decimal: toDecimal,
+  boolean: toBoolean,
+  date: toDate,
+  datetime: toDateTime,
+  json: toJsonText,
+  array: toArray,
+  object: toObject,
+  string: toStringValue
+};
+
+const TYPE_LABELS = {
+  int: '整数',
+  number: '数字',
+  float: '浮点数',
+  decimal: '小数',
+  boolean: '布尔值',
+  date: '日期（YYYY-MM-DD）',
+  datetime: '日期时间（YYYY-MM-DD HH:mm:ss）',
+  json: 'JSON',
+  array: '数组',
+  object: '对象',
+  string: '字符串'
+};
+
+/**
+ * 按参数定义转换参数类型
+ * @param {Array} paramDefinitions - 参数定义 [{name, type, itemType}]
+ * @param {Object} requestParams - 请求参数（不会被修改）
+ * @returns {{params: Object, errors: Array<{name: string, message: string}>}}
+ */
+export function coerceParams(paramDefinitions, requestParams) {
+  const params = { ...requestParams };
+  const errors = [];
+
+  for (const paramDef of paramDefinitions) {
+    const { name } = paramDef;
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    try {
+      params[name] = coerceValue(value, paramDef.type, paramDef.itemType);
+    } catch (error) {
+      errors.push({ name, message: `参数 ${name} ${error.message}` });
+    }
+  }
+
+  return { params, errors };
+}
+
+/**
+ * 转换单个值
+ * @param {any} value - 原始值
+ * @param {string} type - 声明的类型
+ * @param {string} itemType - 数组元素类型（仅 array 类型使用）
+ * @returns {any} 转换后的值；类型未声明或未知时原样返回
+ */
+export function coerceValue(value, type, itemType) {
+  const normalizedType = normalizeType(type);
+  const converter = CONVERTERS[normalizedType];
+
+  if (!converter || value === null || value === undefined) {
+    return value;
+  }
+
+  // 表单中留空的非字符串参数视为未填写（NULL）
+  if (value === '' && normalizedType !== 'string') {
+    return null;
+  }
+
+  const result = converter(value, itemType);
+  if (result === INVALID) {
+    throw new Error(`无法转换为${TYPE_LABELS[normalizedType]}: ${formatValue(value)}`);
+  }
+  return result;
+}
+
+function normalizeType(type) {
+  if (!type) {
+    return null;
+  }
+  const lower = String(type).toLowerCase();
+  return TYPE_ALIASES[lower] || lower;
+}
+
+function toInt(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : INVALID;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  const text = String(value).trim();
+  if (!/^[-+]?\d+$/.test(text)) {
+    return INVALID;
+  }
+  const num = Number(text);
+  // 超出安全整数范围（如 BIGINT 主键）保留字符串，由 MySQL 自行转换
+  return Number.isSafeInteger(num) ? num : text.replace(/^\+/, '');
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : INVALID;
+  }
+  const text = String(value).trim();
+  if (text === '' || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return INVALID;
+  }
+  return Number(text);
+}
+
+function toDecimal(value) {
+  const text = String(value).trim();
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? text.replace(/^\+/, '') : INVALID;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'on'].includes(text)) {
+    return true;
+  }
+  if (['false', '0', 'no', 'off'].includes(text)) {
+    return false;
+  }
+  return INVALID;
+}
+
+function toDate(value) {
+  const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(String(value).trim());
+  if (!match) {
+    return INVALID;
+  }
+  const [, year, month, day] = match;
+  return isValidDate(+year, +month, +day) ? `${year}-${pad(month)}-${pad(day)}` : INVALID;
+}
+
+function toDateTime(value) {
+  const text = String(value).trim();
+
+  // 带时区的 ISO 8601（如 2024-01-01T00:00:00Z），转换为东八区时间
+  if (/[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? INVALID : formatInTimezone(date);
+  }
+
+  const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(text);
+  if (!match) {
+    return INVALID;
+  }
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  if (!isValidDate(+year, +month, +day) || +hour > 23 || +minute > 59 || +second > 59) {
+    return INVALID;
+  }
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+function toJsonText(value) {
+  if (typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  try {
+    return JSON.stringify(JSON.parse(value));
+  } catch (e) {
+    return INVALID;
+  }
+}
+
+function toArray(value, itemType) {
+  let items = value;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('[')) {
+      try {
+        items = JSON.parse(text);
+      } catch (e) {
+        return INVALID;
+      }
+    } else {
+      // 兼容 ?ids=1,2,3 形式
+      items = text === '' ? [] : text.split(',').map(item => item.trim());
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    items = [items];
+  }
+
+  if (!itemType) {
+    return items;
+  }
+
+  try {
+    return items.map(item => coerceValue(item, itemType));
+  } catch (error) {
+    return INVALID;
+  }
+}
+
+function toObject(value) {
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return INVALID;
+    }
+  }
+  return INVALID;
+}
+
+function toStringValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return INVALID;
+}
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function formatInTimezone(date) {
+  const local = new Date(date.getTime() + TIMEZONE_OFFSET_MINUTES * 60 * 1000);
+  return local.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 50 ? `"${text.substring(0, 50)}..."` : `"${text}"`;
+}
@@ -0,0 +1,160 @@
+/**
+ * 参数校验规则
+ * 对应 API 配置中的 paramRules 字段，按参数名声明校验规则
+ *
+ * 示例:
+ * {
+ *   "status":   { "enum": ["active", "disabled"] },
+ *   "age":      { "min": 0, "max": 150 },
+ *   "name":     { "minLength": 1, "maxLength": 50 },
+ *   "code":     { "pattern": "^[A-Z]{3}\\d+$", "message": "编码格式不正确" },
+ *   "birthday": { "format": "date" },
+ *   "email":    { "format": "email" }
+ * }
+ */
+
+// 内置格式
+const FORMATS = {
+  date: {
+    label: '日期（YYYY-MM-DD）',
+    test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value.substring(0, 10))
+  },
+  datetime: {
+    label: '日期时间（YYYY-MM-DD HH:mm:ss）',
+    test: value => /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}$/.test(value) &&
+      isValidDate(value.substring(0, 10)) && isValidTime(value.substring(11))
+  },
+  time: {
+    label: '时间（HH:mm:ss）',
+    test: value => /^\d{2}:\d{2}:\d{2}$/.test(value) && isValidTime(value)
+  },
+  email: {
+    label: '邮箱',
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+  },
+  phone: {
+    label: '手机号',
+    test: value => /^1[3-9]\d{9}$/.test(value)
+  }
+};
+
+const patternCache = new Map();
+
+/**
+ * 将 paramRules 统一为对象（兼容配置中的 JSON 字符串）
+ * @param {string|Object} paramRules
+ * @returns {Object} 参数名 => 规则
+ */
+export function normalizeParamRules(paramRules) {
+  if (!paramRules) {
+    return {};
+  }
+  return typeof paramRules === 'string' ? JSON.parse(paramRules) : paramRules;
+}
+
+/**
+ * 按规则校验单个参数
+ * @param {string} name - 参数名
+ * @param {any} value - 参数值（调用方保证不为空）
+ * @param {Object} rules - 该参数的规则
+ * @returns {Array<string>} 错误信息列表
+ */
+export function validateParamRules(name, value, rules) {
+  const errors = [];
+
+  if (!rules) {
+    return errors;
+  }
+
+  // 数组参数：enum/pattern/format/min/max 对每个元素生效，长度规则对数组长度生效
+  const values = Array.isArray(value) ? value : [value];
+
+  if (Array.isArray(rules.enum)) {
+    const allowed = rules.enum.map(String);
+    const invalid = values.filter(v => !allowed.includes(String(v)));
+    if (invalid.length > 0) {
+      errors.push(`参数 ${name} 的值 ${invalid.join(', ')} 不在可选范围内: ${rules.enum.join(', ')}`);
+    }
+  }
+
+  if (rules.min !== undefined || rules.max !== undefined) {
+    for (const v of values) {
+      const num = Number(v);
+      if (isNaN(num)) {
+        errors.push(`参数 ${name} 应为数字类型`);
+        break;
+      }
+      if (rules.min !== undefined && num < rules.min) {
+        errors.push(`参数 ${name} 不能小于 ${rules.min}`);
+        break;
+      }
+      if (rules.max !== undefined && num > rules.max) {
+        errors.push(`参数 ${name} 不能大于 ${rules.max}`);
+        break;
+      }
+    }
+  }
+
+  if (rules.minLength !== undefined || rules.maxLength !== undefined) {
+    const length = Array.isArray(value) ? value.length : String(value).length;
+    const unit = Array.isArray(value) ? '个元素' : '个字符';
+    if (rules.minLength !== undefined && length < rules.minLength) {
+      errors.push(`参数 ${name} 长度不能少于 ${rules.minLength} ${unit}`);
+    }
+    if (rules.maxLength !== undefined && length > rules.maxLength) {
+      errors.push(`参数 ${name} 长度不能超过 ${rules.maxLength} ${unit}`);
+    }
+  }
+
+  if (rules.pattern) {
+    const regex = compileRulePattern(rules.pattern);
+    if (values.some(v => !regex.test(String(v)))) {
+      errors.push(`参数 ${name} 格式不正确`);
+    }
+  }
+
+  if (rules.format) {
+    const format = FORMATS[rules.format];
+    if (!format) {
+      errors.push(`参数 ${name} 的校验规则使用了未知格式: ${rules.format}`);
+    } else if (values.some(v => !format.test(String(v)))) {
+      errors.push(`参数 ${name} 应为${format.label}格式`);
+    }
+  }
+
+  // 自定义错误信息：有任何规则不通过时，统一使用 message
+  if (errors.length > 0 && rules.message) {
+    return [rules.message];
+  }
+
+  return errors;
+}
+
+/**
+ * 编译规则中的 pattern
+ * @param {string} pattern - 正则字符串
+ * @returns {RegExp}
+ * @throws {SyntaxError} 正则无效时（配置校验时报告）
+ */
+export function compileRulePattern(pattern) {
+  let regex = patternCache.get(pattern);
+  if (!regex) {
+    regex = new RegExp(pattern);
+    patternCache.set(pattern, regex);
+  }
+  return regex;
+}
+
+/**
+ * 校验日期是否真实存在（排除 2024-02-30 这类值）
+ */
+function isValidDate(text) {
+  const [year, month, day] = text.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidTime(text) {
+  const [hour, minute, second] = text.split(':').map(Number);
+  return hour < 24 && minute < 60 && second < 60;
+}
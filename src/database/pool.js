@@ -6,10 +6,15 @@
 
 import mysql from 'mysql2/promise';
 import datasourceManager from '../utils/datasourceManager.js';
+import { normalizeQueryLimits } from './queryLimits.js';
 
 class DatabasePoolManager {
   constructor() {
     this.pools = new Map();
+    // 数据源默认的查询超时和最大行数
+    this.queryLimits = new Map();
+    // 终止超时查询时使用的连接参数
+    this.killOptions = new Map();
   }
 
   /**
@@ -84,6 +89,7 @@ class DatabasePoolManager {
         connection.release();
 
         this.pools.set(ds.id, pool);
+        this._registerDatasource(ds, poolConfig);
       } catch (error) {
         console.error(`❌ 数据源 ${ds.id} (${ds.name}) 连接失败:`, error.message);
         console.warn(`⚠️  数据源 ${ds.id} 将被跳过，相关API将无法使用`);
@@ -105,6 +111,56 @@ class DatabasePoolManager {
     return pool;
   }
 
+  /**
+   * 获取数据源默认的查询限制
+   * @returns {{queryTimeout: number|null, maxRows: number|null}}
+   */
+  getQueryLimits(datasourceId) {
+    return this.queryLimits.get(datasourceId) || { queryTimeout: null, maxRows: null };
+  }
+
+  /**
+   * 终止指定连接上正在执行的查询
+   * 使用单独的连接执行 KILL QUERY（连接池可能已被慢查询占满）
+   * @param {string} datasourceId - 数据源ID
+   * @param {number} threadId - 执行查询的连接ID
+   */
+  async killQuery(datasourceId, threadId) {
+    const options = this.killOptions.get(datasourceId);
+    if (!options) {
+      throw new Error(`数据源 ${datasourceId} 不存在`);
+    }
+
+    const connection = await mysql.createConnection(options);
+    try {
+      await connection.query('KILL QUERY ?', [threadId]);
+      console.warn(`⚠️  已终止超时查询 [${datasourceId}] 连接 ${threadId}`);
+    } finally {
+      await connection.end().catch(() => {});
+    }
+  }
+
+  /**
+   * 记录数据源的查询限制和连接参数
+   * 查询限制配置无效时忽略（不影响数据源使用）
+   */
+  _registerDatasource(ds, poolConfig) {
+    try {
+      this.queryLimits.set(ds.id, normalizeQueryLimits(ds));
+    } catch (error) {
+      console.warn(`⚠️  数据源 ${ds.id} 的查询限制配置无效，已忽略:`, error.message);
+      this.queryLimits.delete(ds.id);
+    }
+
+    this.killOptions.set(ds.id, {
+      host: poolConfig.host,
+      port: poolConfig.port,
+      user: poolConfig.user,
+      password: poolConfig.password,
+      connectTimeout: poolConfig.connectTimeout
+    });
+  }
+
   /**
    * 执行SQL查询（单条）
    */
@@ -236,6 +292,7 @@ class DatabasePoolManager {
       connection.release();
 
       this.pools.set(dsConfig.id, pool);
+      this._registerDatasource(dsConfig, poolConfig);
       return true;
     } catch (error) {
       console.error(`❌ 新数据源 ${dsConfig.id} 连接失败:`, error.message);
@@ -258,6 +315,8 @@ class DatabasePoolManager {
     try {
       await pool.end();
       this.pools.delete(datasourceId);
+      this.queryLimits.delete(datasourceId);
+      this.killOptions.delete(datasourceId);
       console.log(`✅ 数据源 ${datasourceId} 连接池已关闭并删除`);
       return true;
     } catch (error) {
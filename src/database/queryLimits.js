@@ -0,0 +1,198 @@
+/**
+ * 查询超时和最大行数
+ * 对应 API 配置（或 task / DAG 节点）和数据源配置中的 queryTimeout（毫秒）和 maxRows 字段
+ * 优先级: task / DAG 节点 > API > 数据源，都没有配置时不限制
+ *
+ * - queryTimeout: 单条 SQL 的执行时间上限，超时后用 KILL QUERY 终止查询，返回 QueryTimeout 错误（504）
+ *   流式输出计时到读完所有行为止（包括客户端读取较慢而暂停的时间）
+ * - maxRows: 单条 SELECT 最多返回的行数，超出时返回 MaxRowsExceeded 错误（413）
+ *   通过优化器提示 SET_VAR(sql_select_limit = n) 限制（只对这一条语句生效，不修改会话状态），超出的行不会从数据库读取；
+ *   不支持该提示的版本（MySQL 8.0.3 以下）会忽略提示，读取全部行后同样按行数判断；
+ *   带 LIMIT 的查询（分页、流式输出）以自身的 LIMIT 为准
+ */
+
+import { finished } from 'stream';
+
+const LIMIT_FIELDS = ['queryTimeout', 'maxRows'];
+
+/**
+ * 读取配置中的限制（兼容字符串形式的数字）
+ * @param {Object} config - API、task、DAG 节点或数据源配置
+ * @returns {{queryTimeout: number|null, maxRows: number|null}}
+ * @throws {Error} 配置的值不是正整数时
+ */
+export function normalizeQueryLimits(config = {}) {
+  const limits = {};
+
+  for (const field of LIMIT_FIELDS) {
+    const value = config[field];
+    if (value === undefined || value === null || value === '') {
+      limits[field] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${field} 必须是正整数`);
+    }
+    limits[field] = number;
+  }
+
+  return limits;
+}
+
+/**
+ * 合并多层配置的限制，靠前的优先
+ * @param {...Object} levels - normalizeQueryLimits 的结果（可以为空）
+ */
+export function mergeQueryLimits(...levels) {
+  const limits = { queryTimeout: null, maxRows: null };
+
+  for (const field of LIMIT_FIELDS) {
+    const level = levels.find(item => item && item[field]);
+    limits[field] = level ? level[field] : null;
+  }
+
+  return limits;
+}
+
+/**
+ * 为连接加上限制：返回的对象与连接的 execute 用法相同（runStep、分页查询直接使用）
+ * @param {Connection} connection - MySQL连接（mysql2/promise）
+ * @param {Object} limits - mergeQueryLimits 的结果
+ * @param {Function} killQuery - (threadId) => Promise，终止连接上正在执行的查询
+ * @returns {Object} {execute, watchRowStream, withoutRowLimit, connection}
+ *   watchRowStream(rows) 对以行流方式执行的查询（流式输出）应用超时；
+ *   withoutRowLimit() 返回只限制超时的连接（分页查询以 pageSize 为准）
+ */
+export function applyQueryLimits(connection, limits, killQuery) {
+  const { queryTimeout, maxRows } = limits;
+
+  // 终止失败时断开连接（连接从连接池中移除），不再等待失控的查询
+  // 返回是否终止成功：断开连接时 mysql2 不会结束连接上正在执行的命令，不能等待原查询结束
+  const kill = async () => {
+    try {
+      await killQuery(connection.connection.threadId);
+      return true;
+    } catch (error) {
+      console.error('❌ 终止超时查询失败，断开连接:', error.message);
+      connection.destroy();
+      return false;
+    }
+  };
+
+  return {
+    connection: connection.connection,
+
+    async execute(sql, params) {
+      // 多取一行用于判断是否超出
+      const query = connection.execute(maxRows ? limitSelectRows(sql, maxRows + 1) : sql, params);
+      const result = await (queryTimeout ? withQueryTimeout(query, queryTimeout, kill) : query);
+
+      const [rows] = result;
+      if (maxRows && Array.isArray(rows) && rows.length > maxRows) {
+        throw createMaxRowsError(maxRows);
+      }
+      return result;
+    },
+
+    /**
+     * 行流方式执行的查询计时到行流结束，超时后终止查询，行流以 MySQL 的中断错误结束；
+     * 终止失败（已断开连接）时行流不会再结束，直接以 QueryTimeout 错误结束行流
+     * 行流结束（查询已完成）后停止计时，避免误终止连接上之后执行的 SQL
+     * @param {Readable} rows - mysql2 的行流
+     * @returns {Function} (error) => 因超时被终止时返回 QueryTimeout 错误，否则原样返回
+     */
+    watchRowStream(rows) {
+      let timedOut = false;
+
+      if (queryTimeout) {
+        const timer = setTimeout(async () => {
+          timedOut = true;
+          if (!await kill()) {
+            rows.destroy(createQueryTimeoutError(queryTimeout));
+          }
+        }, queryTimeout);
+        finished(rows, () => clearTimeout(timer));
+      }
+
+      return error => (timedOut ? createQueryTimeoutError(queryTimeout) : error);
+    },
+
+    withoutRowLimit() {
+      return applyQueryLimits(connection, { queryTimeout, maxRows: null }, killQuery);
+    }
+  };
+}
+
+/**
+ * 为 SELECT 语句加上优化器提示 SET_VAR(sql_select_limit = n)
+ * 只处理以 SELECT 开头的语句，其他语句（INSERT、UPDATE、WITH 等）原样返回；
+ * 一条语句只识别一个提示注释，已有提示时合并到其中
+ */
+function limitSelectRows(sql, limit) {
+  const match = /^(\s*SELECT\b)(\s*\/\*\+)?/i.exec(sql);
+  if (!match) {
+    return sql;
+  }
+
+  const hint = `SET_VAR(sql_select_limit = ${limit})`;
+  if (match[2]) {
+    return `${match[0]} ${hint}${sql.slice(match[0].length)}`;
+  }
+  return `${match[1]} /*+ ${hint} */${sql.slice(match[1].length)}`;
+}
+
+/**
+ * 等待查询完成，超时后终止查询
+ * 终止后等待原查询结束（被中断）再抛出，保证之后在该连接上执行的 SQL 不会被误终止；
+ * 终止失败时连接已断开，原查询不会再结束，直接抛出
+ * @param {Promise} query - 正在执行的查询
+ * @param {number} timeout - 毫秒
+ * @param {Function} kill - 终止查询
+ */
+async function withQueryTimeout(query, timeout, kill) {
+  let timer;
+  const timedOut = Symbol('timeout');
+
+  const outcome = await Promise.race([
+    query.then(result => ({ result }), error => ({ error })),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(timedOut), timeout);
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (outcome !== timedOut) {
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.result;
+  }
+
+  if (await kill()) {
+    await query.catch(() => {});
+  }
+
+  throw createQueryTimeoutError(timeout);
+}
+
+/**
+ * 查询超时错误（路由层据 statusCode 返回 504）
+ */
+function createQueryTimeoutError(timeout) {
+  const error = new Error(`查询超时（超过 ${timeout} 毫秒），已终止`);
+  error.name = 'QueryTimeout';
+  error.statusCode = 504;
+  return error;
+}
+
+/**
+ * 查询结果超过最大行数（路由层据 statusCode 返回 413）
+ */
+function createMaxRowsError(maxRows) {
+  const error = new Error(`查询结果超过 ${maxRows} 行，请缩小查询范围或使用分页`);
+  error.name = 'MaxRowsExceeded';
+  error.statusCode = 413;
+  return error;
+}
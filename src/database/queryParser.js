@@ -1,34 +1,48 @@
 /**
  * SQL参数化查询解析器
- * 支持 MyBatis 风格的 #{param} 占位符和 <foreach> 标签
+ * 支持 MyBatis 风格的 #{param} 占位符
+ * 支持动态SQL标签: <if>, <choose>/<when>/<otherwise>, <foreach>, <where>, <set>, <trim>
+ * 支持SQL片段复用: <sql id="..."> 和 <include refid="..."/>
+ * 支持 ${param} 直接替换（仅限声明了白名单或标识符规则的参数）
  * 防止SQL注入
  */
 
+import { evaluateCondition, evaluateExpression } from './expressionEvaluator.js';
+import { normalizeParamRules, validateParamRules } from './paramRules.js';
+import { coerceParams } from './paramCoercion.js';
+
 /**
  * 解析 MyBatis 风格的 SQL
  * 将 #{param} 转换为 ? 占位符，并提取参数值
+ * @param {string} sqlText - SQL 模板
+ * @param {Object} params - 请求参数
+ * @param {Object} options - 解析选项
+ * @param {Map} options.fragments - 可用的SQL片段（id => sqlText），见 createFragmentResolver
+ * @param {Array} options.paramDefinitions - API 参数定义，${param} 替换时用于查找白名单/标识符规则
  */
-export function parseSql(sqlText, params) {
-  // 处理 <foreach> 标签
-  let processedSql = processForeachTags(sqlText, params);
+export function parseSql(sqlText, params, options = {}) {
+  // 展开 <include> 引用的SQL片段
+  let processedSql = processIncludeTags(sqlText, options.fragments);
 
-  // 提取所有 #{paramName} 占位符
-  const paramMatches = [];
-  const placeholderRegex = /#\{([^}]+)\}/g;
-  let match;
+  // 处理动态SQL标签（<if>、<choose>、<foreach>、<where>、<set>、<trim>）
+  const { sql: renderedSql, bindings } = processDynamicTags(processedSql, params);
+  processedSql = renderedSql;
 
-  while ((match = placeholderRegex.exec(processedSql)) !== null) {
-    paramMatches.push(match[1].trim());
-  }
+  // <foreach> 的 item/index 通过临时绑定取值，不写回请求参数
+  const lookup = bindings ? { ...params, ...bindings } : params;
 
-  // 将 #{paramName} 替换为 ?
-  const preparedSql = processedSql.replace(/#\{[^}]+\}/g, '?');
+  // 一次扫描同时处理 #{paramName}（绑定为 ?）和 ${paramName}（校验后直接替换）
+  // 直接替换的内容不会再被当作占位符解析
+  const paramValues = [];
+  const preparedSql = processedSql.replace(/#\{([^}]+)\}|\$\{([^}]+)\}/g, (match, boundName, rawName) => {
+    if (rawName !== undefined) {
+      return resolveRawValue(rawName.trim(), params, options.paramDefinitions);
+    }
 
-  // 按顺序提取参数值
-  const paramValues = paramMatches.map(paramName => {
     // 支持嵌套属性，例如: #{item.id}
-    const value = getNestedValue(params, paramName);
-    return value !== undefined ? value : null;
+    const value = getNestedValue(lookup, boundName.trim());
+    paramValues.push(value !== undefined ? value : null);
+    return '?';
   });
 
   return {
@@ -37,52 +51,577 @@ export function parseSql(sqlText, params) {
   };
 }
 
+// 默认标识符规则：列名/表名，可带一级前缀，例如 create_time、o.create_time
+const DEFAULT_IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+// 无论规则如何声明，直接替换的值都不允许包含这些字符（引号、分号、注释、空白）
+const FORBIDDEN_RAW_CHARS = /['"`;\\\s]|--|\/\*|\*\//;
+const rawPatternCache = new Map();
+
+/**
+ * 判断参数定义是否允许 ${} 直接替换
+ * 需要声明 allowlist（允许的取值列表）或 identifierPattern（true 表示默认标识符规则，或正则字符串）
+ */
+function isRawParam(paramDef) {
+  return Boolean(paramDef) && (Array.isArray(paramDef.allowlist) || Boolean(paramDef.identifierPattern));
+}
+
+/**
+ * 校验 ${} 直接替换的参数值
+ * @returns {string|null} 错误信息，通过时返回 null
+ */
+function checkRawValue(paramDef, value) {
+  const { name } = paramDef;
+  const text = String(value);
+
+  if (Array.isArray(paramDef.allowlist)) {
+    if (!paramDef.allowlist.map(String).includes(text)) {
+      return `参数 ${name} 的值 "${text}" 不在允许范围内: ${paramDef.allowlist.join(', ')}`;
+    }
+    return null;
+  }
+
+  const pattern = typeof paramDef.identifierPattern === 'string'
+    ? compileIdentifierPattern(paramDef.identifierPattern)
+    : DEFAULT_IDENTIFIER_PATTERN;
+
+  if (typeof value === 'object' || FORBIDDEN_RAW_CHARS.test(text) || !pattern.test(text)) {
+    return `参数 ${name} 的值 "${text}" 不是合法的标识符`;
+  }
+
+  return null;
+}
+
+/**
+ * 编译参数定义中的 identifierPattern（整体匹配，避免规则只匹配到值的一部分）
+ * @param {string} identifierPattern - 正则字符串
+ * @returns {RegExp}
+ * @throws {SyntaxError} 正则无效时（配置校验时报告）
+ */
+export function compileIdentifierPattern(identifierPattern) {
+  let pattern = rawPatternCache.get(identifierPattern);
+  if (!pattern) {
+    pattern = new RegExp(`^(?:${identifierPattern})$`);
+    rawPatternCache.set(identifierPattern, pattern);
+  }
+  return pattern;
+}
+
+/**
+ * 解析 ${paramName} 的替换值
+ * 参数必须声明白名单或标识符规则，且值通过校验，否则抛出 400 错误
+ */
+function resolveRawValue(name, params, paramDefinitions) {
+  const paramDef = (paramDefinitions || []).find(def => def.name === name);
+
+  if (!isRawParam(paramDef)) {
+    throw createParameterError(`参数 ${name} 未声明白名单(allowlist)或标识符规则(identifierPattern)，不允许使用 \${${name}} 直接替换`);
+  }
+
+  const value = getNestedValue(params, name);
+  if (value === undefined || value === null || value === '') {
+    throw createParameterError(`缺少参数: ${name}（\${${name}} 直接替换的参数不能为空）`);
+  }
+
+  const error = checkRawValue(paramDef, value);
+  if (error) {
+    throw createParameterError(error);
+  }
+
+  return String(value);
+}
+
+/**
+ * 创建参数错误（路由层据 statusCode 返回 400）
+ */
+export function createParameterError(message) {
+  const error = new Error(message);
+  error.name = 'ParameterValidationError';
+  error.statusCode = 400;
+  return error;
+}
+
 /**
- * 处理 <foreach> 标签
- * 示例: <foreach collection="orderIdList" item="orderId" separator="," open="(" close=")">#{orderId}</foreach>
+ * 根据配置中的SQL片段列表，构建某个分组可用的片段表
+ * 全局片段（无 groupId）对所有分组可见，分组片段同名时覆盖全局片段
+ * @param {Array} fragmentList - 配置中的 sqlFragments 列表 [{id, groupId, sqlText}]
+ * @param {string} groupId - API 所属分组
+ * @returns {Map} id => sqlText
  */
-function processForeachTags(sqlText, params) {
-  const foreachRegex = /<foreach\s+collection="([^"]+)"\s+item="([^"]+)"\s+separator="([^"]*)"\s*(?:open="([^"]*)")?\s*(?:close="([^"]*)")?\s*>([^<]+)<\/foreach>/g;
+export function createFragmentResolver(fragmentList, groupId) {
+  const fragments = new Map();
 
-  return sqlText.replace(foreachRegex, (match, collection, item, separator, open = '', close = '', innerTemplate) => {
-    const collectionData = params[collection];
+  for (const fragment of fragmentList || []) {
+    if (!fragment.groupId) {
+      fragments.set(fragment.id, fragment.sqlText);
+    }
+  }
 
-    if (!Array.isArray(collectionData) || collectionData.length === 0) {
-      return ''; // 空数组，返回空字符串
+  for (const fragment of fragmentList || []) {
+    if (fragment.groupId && fragment.groupId === groupId) {
+      fragments.set(fragment.id, fragment.sqlText);
     }
+  }
+
+  return fragments;
+}
+
+const SQL_DEFINITION_REGEX = /<sql\s+id\s*=\s*(?:"([^"]*)"|'([^']*)')\s*>([\s\S]*?)<\/sql\s*>/g;
+const INCLUDE_REGEX = /<include\s+refid\s*=\s*(?:"([^"]*)"|'([^']*)')\s*(?:\/>|>\s*<\/include\s*>)/g;
+
+/**
+ * 展开 <include> 标签
+ * SQL 模板内可以用 <sql id="..."> 定义局部片段（不会输出），优先于配置中的同名片段
+ * 示例:
+ *   <sql id="baseColumns">id, name, status</sql>
+ *   SELECT <include refid="baseColumns"/> FROM users WHERE <include refid="tenantFilter"/>
+ */
+function processIncludeTags(sqlText, fragments) {
+  if (!sqlText.includes('<sql') && !sqlText.includes('<include')) {
+    return sqlText;
+  }
+
+  const localFragments = new Map(fragments || []);
+
+  // 提取局部片段定义
+  const body = sqlText.replace(SQL_DEFINITION_REGEX, (match, id1, id2, content) => {
+    localFragments.set(id1 !== undefined ? id1 : id2, content);
+    return '';
+  });
+
+  return expandIncludes(body, localFragments, []);
+}
+
+/**
+ * 递归展开片段引用，并检测循环引用
+ */
+function expandIncludes(text, fragments, chain) {
+  return text.replace(INCLUDE_REGEX, (match, id1, id2) => {
+    const refid = id1 !== undefined ? id1 : id2;
+
+    if (chain.includes(refid)) {
+      throw new Error(`SQL片段循环引用: ${[...chain, refid].join(' -> ')}`);
+    }
+
+    if (!fragments.has(refid)) {
+      throw new Error(`SQL片段 "${refid}" 不存在${chain.length > 0 ? `（被片段 "${chain[chain.length - 1]}" 引用）` : ''}`);
+    }
+
+    return expandIncludes(fragments.get(refid), fragments, [...chain, refid]);
+  });
+}
+
+// 动态SQL标签
+const DYNAMIC_TAGS = ['if', 'choose', 'when', 'otherwise', 'where', 'set', 'trim', 'foreach'];
+const DYNAMIC_TAG_REGEX = new RegExp(
+  `<(\\/?)(${DYNAMIC_TAGS.join('|')})((?:\\s+[\\w-]+\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*>`,
+  'g'
+);
+const ATTRIBUTE_REGEX = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const SCOPED_PLACEHOLDER_REGEX = /#\{\s*([A-Za-z_$][\w$]*)([^}]*)\}/g;
+
+// 模板语法树缓存（同一个 sqlText 只解析一次）
+const templateCache = new Map();
+const TEMPLATE_CACHE_LIMIT = 1000;
+
+/**
+ * 处理动态SQL标签
+ * 示例:
+ *   SELECT * FROM orders
+ *   <where>
+ *     <if test="status != null and status != ''">AND status = #{status}</if>
+ *     <if test="userId != null">AND user_id = #{userId}</if>
+ *   </where>
+ *
+ * @returns {{sql: string, bindings: Object}} bindings 为 <foreach> 产生的临时绑定变量（不会写回请求参数）
+ */
+function processDynamicTags(sqlText, params) {
+  // 快速路径：没有动态标签时直接返回
+  DYNAMIC_TAG_REGEX.lastIndex = 0;
+  if (!DYNAMIC_TAG_REGEX.test(sqlText)) {
+    return { sql: sqlText, bindings: null };
+  }
+
+  let nodes = templateCache.get(sqlText);
+  if (!nodes) {
+    nodes = parseTemplate(sqlText);
+    if (templateCache.size >= TEMPLATE_CACHE_LIMIT) {
+      templateCache.clear();
+    }
+    templateCache.set(sqlText, nodes);
+  }
 
-    // 为每个元素生成SQL片段
-    const fragments = collectionData.map(value => {
-      // 创建临时参数对象
-      const tempParams = { [item]: value };
-      // 替换内部模板中的占位符
-      return innerTemplate.replace(/#\{([^}]+)\}/g, (m, paramName) => {
-        if (paramName === item) {
-          return `#{${collection}_${collectionData.indexOf(value)}}`;
+  const state = {
+    vars: params || {},
+    aliases: new Map(),
+    bindings: {},
+    counter: { value: 0 }
+  };
+
+  return { sql: renderNodes(nodes, state), bindings: state.bindings };
+}
+
+/**
+ * 检查SQL模板（用于配置校验）：展开 <include>、解析动态标签，并收集 #{} / ${} 引用的参数名
+ * <foreach> 的 item/index 局部变量不计入
+ * @param {string} sqlText - SQL模板
+ * @param {Map} fragments - 可用的SQL片段
+ * @returns {Array<string>} 引用的参数名（只取第一段，如 #{order.items[0].sku} 为 order）
+ * @throws {Error} 片段不存在、循环引用或标签不匹配时抛出
+ */
+export function inspectSqlTemplate(sqlText, fragments) {
+  const expanded = processIncludeTags(sqlText, fragments);
+  const names = new Set();
+  collectReferences(parseTemplate(expanded), new Set(), names);
+  return [...names];
+}
+
+const REFERENCE_REGEX = /[#$]\{\s*([A-Za-z_$][\w$]*)[^}]*\}/g;
+const EXPRESSION_ROOT_REGEX = /^\s*([A-Za-z_$][\w$]*)/;
+
+function collectReferences(nodes, scope, names) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      for (const match of node.text.matchAll(REFERENCE_REGEX)) {
+        if (!scope.has(match[1])) {
+          names.add(match[1]);
         }
-        return m;
-      });
-    });
+      }
+      continue;
+    }
+
+    let childScope = scope;
+    if (node.name === 'foreach') {
+      const root = EXPRESSION_ROOT_REGEX.exec(node.attrs.collection);
+      if (root && !scope.has(root[1])) {
+        names.add(root[1]);
+      }
+      childScope = new Set([...scope, node.attrs.item || 'item']);
+      if (node.attrs.index) {
+        childScope.add(node.attrs.index);
+      }
+    }
+    collectReferences(node.children, childScope, names);
+  }
+}
+
+/**
+ * 将SQL模板解析为节点树
+ * 只识别动态SQL标签，其余内容（包括 a < b 这样的比较）原样保留为文本
+ */
+function parseTemplate(sqlText) {
+  const root = { name: null, children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
 
-    // 将数组值扁平化到参数对象中
-    collectionData.forEach((value, index) => {
-      params[`${collection}_${index}`] = value;
-    });
+  DYNAMIC_TAG_REGEX.lastIndex = 0;
+  while ((match = DYNAMIC_TAG_REGEX.exec(sqlText)) !== null) {
+    const [raw, closing, name, attrText] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      const text = sqlText.slice(lastIndex, match.index);
+      if (current.name === 'choose' && text.trim()) {
+        throw new Error(`<choose> 标签内只能包含 <when> 和 <otherwise>，发现多余内容: ${text.trim()}`);
+      }
+      current.children.push({ type: 'text', text });
+    }
+    lastIndex = match.index + raw.length;
+
+    if (closing) {
+      if (current.name !== name) {
+        throw new Error(`SQL模板标签不匹配: 遇到 </${name}>，但 ${current.name ? `<${current.name}> 未闭合` : '没有对应的开始标签'}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const node = { type: 'tag', name, attrs: parseAttributes(attrText), children: [] };
+    validateTagPlacement(node, current);
+    current.children.push(node);
+    stack.push(node);
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`SQL模板标签不匹配: <${stack[stack.length - 1].name}> 未闭合`);
+  }
+
+  if (lastIndex < sqlText.length) {
+    root.children.push({ type: 'text', text: sqlText.slice(lastIndex) });
+  }
+
+  return root.children;
+}
+
+/**
+ * 校验标签的嵌套位置和必填属性
+ * <when>/<otherwise> 只能直接位于 <choose> 内，且 <otherwise> 最多一个并位于最后
+ */
+function validateTagPlacement(node, parent) {
+  const isBranch = node.name === 'when' || node.name === 'otherwise';
+
+  if (isBranch && parent.name !== 'choose') {
+    throw new Error(`<${node.name}> 标签必须位于 <choose> 内`);
+  }
 
-    return open + fragments.join(separator) + close;
+  if (parent.name === 'choose') {
+    if (!isBranch) {
+      throw new Error(`<choose> 标签内只能包含 <when> 和 <otherwise>，发现 <${node.name}>`);
+    }
+    if (parent.children.some(child => child.type === 'tag' && child.name === 'otherwise')) {
+      throw new Error('<otherwise> 必须是 <choose> 的最后一个分支');
+    }
+  }
+
+  if ((node.name === 'if' || node.name === 'when') && node.attrs.test === undefined) {
+    throw new Error(`<${node.name}> 标签缺少 test 属性`);
+  }
+
+  if (node.name === 'foreach' && !node.attrs.collection) {
+    throw new Error('<foreach> 标签缺少 collection 属性');
+  }
+}
+
+/**
+ * 解析标签属性（与属性顺序无关）
+ */
+function parseAttributes(attrText) {
+  const attrs = {};
+  let match;
+
+  ATTRIBUTE_REGEX.lastIndex = 0;
+  while ((match = ATTRIBUTE_REGEX.exec(attrText || '')) !== null) {
+    attrs[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  return attrs;
+}
+
+/**
+ * 根据参数渲染节点树
+ * @param {Array} nodes - 节点列表
+ * @param {Object} state - 渲染状态
+ * @param {Object} state.vars - 表达式求值上下文（请求参数 + 当前 foreach 的 item/index）
+ * @param {Map} state.aliases - foreach 局部变量名 => 临时绑定名
+ * @param {Object} state.bindings - 临时绑定名 => 值
+ */
+function renderNodes(nodes, state) {
+  let sql = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      sql += state.aliases.size > 0 ? rewriteScopedPlaceholders(node.text, state.aliases) : node.text;
+      continue;
+    }
+
+    switch (node.name) {
+      case 'if':
+        if (evaluateCondition(node.attrs.test, state.vars)) {
+          sql += renderNodes(node.children, state);
+        }
+        break;
+
+      case 'choose':
+        sql += renderChoose(node, state);
+        break;
+
+      case 'foreach':
+        sql += renderForeach(node, state);
+        break;
+
+      case 'where':
+        sql += applyTrim(renderNodes(node.children, state), {
+          prefix: 'WHERE',
+          prefixOverrides: ['AND', 'OR']
+        });
+        break;
+
+      case 'set':
+        sql += applyTrim(renderNodes(node.children, state), {
+          prefix: 'SET',
+          suffixOverrides: [',']
+        });
+        break;
+
+      case 'trim':
+        sql += applyTrim(renderNodes(node.children, state), {
+          prefix: node.attrs.prefix,
+          suffix: node.attrs.suffix,
+          prefixOverrides: splitOverrides(node.attrs.prefixOverrides),
+          suffixOverrides: splitOverrides(node.attrs.suffixOverrides)
+        });
+        break;
+    }
+  }
+
+  return sql;
+}
+
+/**
+ * 渲染 <choose>：输出第一个条件成立的 <when>，都不成立时输出 <otherwise>
+ * 示例:
+ *   ORDER BY
+ *   <choose>
+ *     <when test="sort == 'price'">price ASC</when>
+ *     <when test="sort == 'sales'">sales DESC</when>
+ *     <otherwise>create_time DESC</otherwise>
+ *   </choose>
+ */
+function renderChoose(node, state) {
+  for (const branch of node.children) {
+    if (branch.type !== 'tag') {
+      continue;
+    }
+    if (branch.name === 'otherwise' || evaluateCondition(branch.attrs.test, state.vars)) {
+      return renderNodes(branch.children, state);
+    }
+  }
+  return '';
+}
+
+/**
+ * 渲染 <foreach>
+ * 属性: collection（必填，支持 order.items 这样的路径）、item（默认 item）、index、separator、open、close
+ * 数组的 index 为下标，对象的 index 为键名；集合为空时整个标签输出为空
+ * 示例:
+ *   INSERT INTO order_item (order_id, sku, qty) VALUES
+ *   <foreach collection="rows" item="row" index="i" separator=",">
+ *     (#{orderId}, #{row.sku}, #{row.qty})
+ *   </foreach>
+ *
+ * 循环体内对 item/index 的 #{} 引用会被改写为临时绑定名，不会修改请求参数
+ */
+function renderForeach(node, state) {
+  const { collection, item = 'item', index, separator = '', open = '', close = '' } = node.attrs;
+  const data = evaluateExpression(collection, state.vars);
+
+  let entries;
+  if (Array.isArray(data)) {
+    entries = data.map((value, i) => [i, value]);
+  } else if (data !== null && typeof data === 'object') {
+    entries = Object.entries(data);
+  } else {
+    entries = [];
+  }
+
+  const fragments = [];
+
+  for (const [key, value] of entries) {
+    const id = state.counter.value++;
+    const aliases = new Map(state.aliases);
+    const vars = { ...state.vars, [item]: value };
+
+    aliases.set(item, `__foreach_${id}_item`);
+    state.bindings[`__foreach_${id}_item`] = value;
+
+    if (index) {
+      vars[index] = key;
+      aliases.set(index, `__foreach_${id}_index`);
+      state.bindings[`__foreach_${id}_index`] = key;
+    }
+
+    const fragment = renderNodes(node.children, { ...state, vars, aliases }).trim();
+    if (fragment) {
+      fragments.push(fragment);
+    }
+  }
+
+  if (fragments.length === 0) {
+    return '';
+  }
+
+  return open + fragments.join(separator) + close;
+}
+
+/**
+ * 将 #{item.xxx} 这类引用 foreach 局部变量的占位符改写为临时绑定名
+ */
+function rewriteScopedPlaceholders(text, aliases) {
+  return text.replace(SCOPED_PLACEHOLDER_REGEX, (match, root, rest) => {
+    return aliases.has(root) ? `#{${aliases.get(root)}${rest}}` : match;
   });
 }
 
+/**
+ * 解析 prefixOverrides/suffixOverrides 属性（以 | 分隔）
+ * 示例: prefixOverrides="AND |OR "
+ */
+function splitOverrides(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split('|').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 实现 <trim> 语义：去掉首尾多余的关键字/符号，再加上前缀和后缀
+ * 内容为空时整个标签输出为空
+ */
+function applyTrim(content, { prefix = '', suffix = '', prefixOverrides = [], suffixOverrides = [] }) {
+  let body = content.trim();
+
+  if (!body) {
+    return '';
+  }
+
+  for (const override of prefixOverrides) {
+    if (startsWithToken(body, override)) {
+      body = body.slice(override.length).trim();
+      break;
+    }
+  }
+
+  for (const override of suffixOverrides) {
+    if (endsWithToken(body, override)) {
+      body = body.slice(0, body.length - override.length).trim();
+      break;
+    }
+  }
+
+  return ` ${prefix ? prefix + ' ' : ''}${body}${suffix ? ' ' + suffix : ''} `;
+}
+
+/**
+ * 判断文本是否以指定关键字开头（忽略大小写，关键字须为完整单词）
+ */
+function startsWithToken(text, token) {
+  if (!text.toUpperCase().startsWith(token.toUpperCase())) {
+    return false;
+  }
+  return !/\w$/.test(token) || !/\w/.test(text.charAt(token.length));
+}
+
+/**
+ * 判断文本是否以指定关键字结尾（忽略大小写，关键字须为完整单词）
+ */
+function endsWithToken(text, token) {
+  if (!text.toUpperCase().endsWith(token.toUpperCase())) {
+    return false;
+  }
+  return !/^\w/.test(token) || !/\w/.test(text.charAt(text.length - token.length - 1));
+}
+
+// 路径缓存（同一个占位符路径只拆分一次）
+const pathCache = new Map();
+const PATH_CACHE_LIMIT = 2000;
+
 /**
  * 获取嵌套对象的值
- * 例如: getNestedValue({a: {b: 1}}, 'a.b') => 1
+ * 支持点号和下标两种写法，只读取自有属性
+ * 例如:
+ *   getNestedValue({a: {b: 1}}, 'a.b') => 1
+ *   getNestedValue({order: {items: [{sku: 'A1'}]}}, 'order.items[0].sku') => 'A1'
+ *   getNestedValue({m: {'x-y': 2}}, 'm["x-y"]') => 2
  */
 function getNestedValue(obj, path) {
-  const keys = path.split('.');
+  const keys = splitPath(path);
   let value = obj;
 
   for (const key of keys) {
-    if (value === null || value === undefined) {
+    if (value === null || value === undefined || typeof value !== 'object') {
+      return undefined;
+    }
+    if (!Object.prototype.hasOwnProperty.call(value, key)) {
       return undefined;
     }
     value = value[key];
@@ -92,24 +631,96 @@ function getNestedValue(obj, path) {
 }
 
 /**
- * 验证参数类型
+ * 将 order.items[0].sku 拆分为 ['order', 'items', '0', 'sku']
  */
-export function validateParams(apiParams, requestParams) {
-  const errors = [];
+function splitPath(path) {
+  let keys = pathCache.get(path);
 
+  if (!keys) {
+    keys = [];
+    const segmentRegex = /([^.[\]]+)|\[\s*(?:(\d+)|"([^"]*)"|'([^']*)')\s*\]/g;
+    let match;
+    while ((match = segmentRegex.exec(path)) !== null) {
+      keys.push(match[1] ?? match[2] ?? match[3] ?? match[4]);
+    }
+    if (pathCache.size >= PATH_CACHE_LIMIT) {
+      pathCache.clear();
+    }
+    pathCache.set(path, keys);
+  }
+
+  return keys;
+}
+
+/**
+ * 将参数定义统一为数组（兼容配置中的 JSON 字符串）
+ */
+export function normalizeParamDefinitions(apiParams) {
   if (!apiParams || apiParams.length === 0) {
-    return { valid: true, errors: [] };
+    return [];
+  }
+  return typeof apiParams === 'string' ? JSON.parse(apiParams) : apiParams;
+}
+
+/**
+ * 填充参数默认值
+ * 只有请求中完全没有传该参数（undefined）时才使用 default；显式传 null 会保留 null
+ * @param {string|Array} apiParams - 参数定义 [{name, type, required, default}]
+ * @param {Object} requestParams - 请求参数
+ * @returns {Object} 填充默认值后的新参数对象（不修改原对象）
+ */
+export function applyParamDefaults(apiParams, requestParams) {
+  const paramDefinitions = normalizeParamDefinitions(apiParams);
+  const params = { ...requestParams };
+
+  for (const paramDef of paramDefinitions) {
+    if (params[paramDef.name] === undefined && paramDef.default !== undefined) {
+      // 默认值可能是数组/对象，复制一份避免被后续处理修改
+      params[paramDef.name] = typeof paramDef.default === 'object' && paramDef.default !== null
+        ? structuredClone(paramDef.default)
+        : paramDef.default;
+    }
   }
 
-  const paramDefinitions = typeof apiParams === 'string' ? JSON.parse(apiParams) : apiParams;
+  return params;
+}
+
+/**
+ * 验证参数类型和校验规则
+ * 未声明 required: false 的参数视为必填（兼容旧配置）
+ * 可选参数未传或显式传 null 时跳过类型检查，交由动态SQL（如 <if test="x != null">）处理
+ * 所有错误一次性返回，不会遇到第一个错误就停止
+ * @param {string|Array} apiParams - 参数定义
+ * @param {Object} requestParams - 请求参数
+ * @param {string|Object} paramRules - 参数校验规则（API 配置的 paramRules 字段），见 paramRules.js
+ */
+export function validateParams(apiParams, requestParams, paramRules) {
+  const errors = [];
+  const paramDefinitions = normalizeParamDefinitions(apiParams);
+  const rules = normalizeParamRules(paramRules);
+
+  if (paramDefinitions.length === 0) {
+    return { valid: true, errors: [] };
+  }
 
   for (const paramDef of paramDefinitions) {
     const { name, type, note } = paramDef;
     const value = requestParams[name];
+    const required = paramDef.required !== false;
 
-    // 检查必填参数
-    if (value === undefined || value === null || value === '') {
-      errors.push(`缺少必填参数: ${name}${note ? ` (${note})` : ''}`);
+    // 未传参数
+    if (value === undefined) {
+      if (required) {
+        errors.push(`缺少必填参数: ${name}${note ? ` (${note})` : ''}`);
+      }
+      continue;
+    }
+
+    // 显式传 null 或空字符串
+    if (value === null || value === '') {
+      if (required) {
+        errors.push(`必填参数 ${name} 不能为${value === null ? ' null' : '空'}${note ? ` (${note})` : ''}`);
+      }
       continue;
     }
 
@@ -121,6 +732,17 @@ export function validateParams(apiParams, requestParams) {
     } else if (type === 'float' && isNaN(parseFloat(value))) {
       errors.push(`参数 ${name} 应为浮点数类型`);
     }
+
+    // ${} 直接替换的参数：必须在白名单内或符合标识符规则
+    if (isRawParam(paramDef)) {
+      const rawError = checkRawValue(paramDef, value);
+      if (rawError) {
+        errors.push(rawError);
+      }
+    }
+
+    // 声明式校验规则（枚举、范围、长度、正则、格式）
+    errors.push(...validateParamRules(name, value, rules[name]));
   }
 
   return {
@@ -130,12 +752,167 @@ export function validateParams(apiParams, requestParams) {
 }
 
 /**
- * 合并参数（支持 query、body、params）
+ * 准备请求参数：填充默认值 -> 按声明类型转换 -> 校验
+ * 类型转换失败的参数不再重复做类型校验，所有错误一起返回
+ * @param {string|Array} apiParams - 参数定义
+ * @param {Object} requestParams - 合并后的请求参数
+ * @param {string|Object} paramRules - 参数校验规则
+ * @returns {{params: Object, valid: boolean, errors: Array<string>}}
  */
-export function mergeParams(request) {
+export function prepareParams(apiParams, requestParams, paramRules) {
+  const paramDefinitions = normalizeParamDefinitions(apiParams);
+  const withDefaults = applyParamDefaults(paramDefinitions, requestParams);
+  const { params, errors: coercionErrors } = coerceParams(paramDefinitions, withDefaults);
+
+  const failed = new Set(coercionErrors.map(error => error.name));
+  const validation = validateParams(
+    paramDefinitions.filter(paramDef => !failed.has(paramDef.name)),
+    params,
+    paramRules
+  );
+
+  const errors = [...coercionErrors.map(error => error.message), ...validation.errors];
+
   return {
-    ...request.query,
-    ...request.params,
-    ...request.body
+    params,
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+const PARAM_SOURCES = ['query', 'body', 'path', 'header', 'cookie'];
+
+/**
+ * 合并参数（支持 query、body、path、header、cookie）
+ *
+ * 参数定义可以用 source 指定唯一来源，sourceName 指定在该来源中的名称（默认与 name 相同）：
+ *   {"name": "tenantId", "source": "header", "sourceName": "X-Tenant-Id"}
+ * 声明了来源的参数只从该来源读取，如果其他来源也传了同名参数则视为冲突（防止请求体伪造请求头中的值）
+ * 未声明来源的参数从 path、query、body 中读取，同一参数在多个来源中取值不同时视为冲突
+ *
+ * @param {Object} request - Fastify 请求对象
+ * @param {string|Array} apiParams - 参数定义
+ * @param {Object} pathParams - 从路径模板中提取的参数（未传时使用 request.params）
+ * @returns {{params: Object, errors: Array<string>}}
+ */
+export function mergeParams(request, apiParams, pathParams) {
+  const paramDefinitions = normalizeParamDefinitions(apiParams);
+  const errors = [];
+
+  const sources = {
+    path: pathParams || omitWildcard(request.params),
+    query: asPlainObject(request.query),
+    body: asPlainObject(request.body)
   };
+
+  // 未声明来源的参数：合并 path、query、body，并检查冲突
+  const params = {};
+  const origins = {};
+  for (const source of ['path', 'query', 'body']) {
+    for (const [key, value] of Object.entries(sources[source])) {
+      if (key in params && !isSameValue(params[key], value)) {
+        errors.push(`参数 ${key} 同时出现在 ${origins[key]} 和 ${source} 中且取值不同`);
+        continue;
+      }
+      params[key] = value;
+      origins[key] = origins[key] || source;
+    }
+  }
+
+  // 声明了来源的参数：只从指定来源读取
+  for (const paramDef of paramDefinitions) {
+    const { name, source } = paramDef;
+
+    if (!source) {
+      continue;
+    }
+
+    if (!PARAM_SOURCES.includes(source)) {
+      errors.push(`参数 ${name} 声明了未知的来源: ${source}（可选: ${PARAM_SOURCES.join(', ')}）`);
+      continue;
+    }
+
+    const sourceName = paramDef.sourceName || name;
+    const value = readFromSource(request, sources, source, sourceName);
+
+    // 其他来源中出现同名参数视为冲突
+    const conflicts = ['path', 'query', 'body'].filter(other =>
+      other !== source && sources[other][name] !== undefined
+    );
+    if (conflicts.length > 0) {
+      errors.push(`参数 ${name} 只能通过 ${source} 传递，不能出现在 ${conflicts.join('、')} 中`);
+    }
+
+    if (value === undefined) {
+      delete params[name];
+    } else {
+      params[name] = value;
+    }
+  }
+
+  return { params, errors };
+}
+
+/**
+ * 从指定来源读取参数
+ */
+function readFromSource(request, sources, source, sourceName) {
+  switch (source) {
+    case 'header':
+      return request.headers[sourceName.toLowerCase()];
+    case 'cookie':
+      return parseCookies(request.headers.cookie)[sourceName];
+    default:
+      return sources[source][sourceName];
+  }
+}
+
+/**
+ * 解析 Cookie 请求头
+ */
+function parseCookies(header) {
+  const cookies = {};
+
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[key] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * 去掉通配符路由的 * 参数
+ */
+function omitWildcard(params) {
+  const { '*': wildcard, ...rest } = asPlainObject(params);
+  return rest;
+}
+
+function asPlainObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+function isSameValue(a, b) {
+  if (a === b) {
+    return true;
+  }
+  // query 中的 "1" 与 body 中的 1 视为相同
+  if (typeof a !== 'object' && typeof b !== 'object') {
+    return String(a) === String(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
 }
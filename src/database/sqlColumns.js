@@ -0,0 +1,167 @@
+/**
+ * 分页、流式输出 SQL 的静态检查（用于配置校验）
+ * - 分页、流式输出会把 SQL 包装为子查询（SELECT ... FROM (原SQL) AS t），
+ *   子查询的结果不允许有同名列，JOIN 查询中的 a.id, b.id 不分页时可以执行，分页时报错 "Duplicate column name"
+ * - offset 分页在 SQL 末尾追加 LIMIT / OFFSET，SQL 中已有 LIMIT 时语法错误
+ *
+ * 只做简单的静态分析：动态标签、占位符按普通文本处理，没有别名的表达式列和 * 无法确定列名时跳过
+ */
+
+const IDENTIFIER = '(?:`[^`]+`|[A-Za-z_][\\w$]*)';
+const COLUMN_REF_REGEX = new RegExp(`^(?:${IDENTIFIER}\\s*\\.\\s*)*(${IDENTIFIER})$`);
+const ALIAS_REGEX = new RegExp(`\\s(?:AS\\s+)?(${IDENTIFIER}|'[^']+'|"[^"]+")$`, 'i');
+const STAR_REGEX = new RegExp(`^(?:${IDENTIFIER}\\s*\\.\\s*)?\\*$`);
+
+// 出现在列表达式末尾时不是别名的关键字（如 CASE ... END）
+const NON_ALIAS_KEYWORDS = new Set(['END', 'NULL', 'TRUE', 'FALSE', 'DISTINCT']);
+
+/**
+ * 检查 SQL 的结果是否有同名列
+ * @param {string} sqlText - SQL 模板
+ * @returns {{duplicates: Array<string>, ambiguousStar: boolean}}
+ *   duplicates: 重复的列名；ambiguousStar: 连接多个表时使用了 *（可能包含同名列）
+ */
+export function inspectSelectColumns(sqlText) {
+  const result = { duplicates: [], ambiguousStar: false };
+  const items = splitSelectList(stripSql(sqlText));
+
+  if (!items) {
+    return result;
+  }
+
+  const seen = new Map();
+  let stars = 0;
+
+  for (const { expression } of items.columns) {
+    if (STAR_REGEX.test(expression)) {
+      stars += expression === '*' ? 2 : 1;
+      continue;
+    }
+
+    const name = columnName(expression);
+    if (!name) {
+      continue;
+    }
+
+    const key = name.toLowerCase();
+    if (seen.has(key) && !result.duplicates.includes(seen.get(key))) {
+      result.duplicates.push(seen.get(key));
+    }
+    seen.set(key, seen.get(key) || name);
+  }
+
+  result.ambiguousStar = stars > 1 && /\bJOIN\b|,/i.test(items.from);
+  return result;
+}
+
+/**
+ * SQL 的最外层是否有 LIMIT（子查询、字符串中的 LIMIT 不算）
+ * @param {string} sqlText - SQL 模板
+ * @returns {boolean}
+ */
+export function hasTopLevelLimit(sqlText) {
+  const sql = stripSql(sqlText);
+  let depth = 0;
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (depth === 0 && (ch === 'L' || ch === 'l') && !/[\w$]/.test(sql[i - 1] || '') &&
+               /^LIMIT\b/i.test(sql.slice(i, i + 6))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 去掉注释、动态标签和占位符
+ */
+function stripSql(sqlText) {
+  return String(sqlText || '')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+    .replace(/[#$]\{[^}]*\}/g, '?');
+}
+
+/**
+ * 取出最外层 SELECT 的列列表和 FROM 子句
+ * @returns {{columns: Array<{expression: string}>, from: string}|null} 不是 SELECT 时返回 null
+ */
+function splitSelectList(sql) {
+  const start = /^\s*\(?\s*SELECT\s+(?:(?:ALL|DISTINCT|DISTINCTROW|SQL_\w+|STRAIGHT_JOIN|HIGH_PRIORITY)\s+)*/i.exec(sql);
+  if (!start) {
+    return null;
+  }
+
+  const columns = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = start[0].length; i < sql.length; i++) {
+    const ch = sql[i];
+
+    if (quote) {
+      current += ch;
+      if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (ch === '\'' || ch === '"' || ch === '`') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (depth === 0 && ch === ',') {
+      columns.push({ expression: current.trim() });
+      current = '';
+      continue;
+    } else if (depth === 0 && /\s/.test(ch) && /^FROM\b/i.test(sql.slice(i + 1))) {
+      columns.push({ expression: current.trim() });
+      return { columns, from: sql.slice(i + 5) };
+    }
+
+    current += ch;
+  }
+
+  columns.push({ expression: current.trim() });
+  return { columns, from: '' };
+}
+
+/**
+ * 列表达式的结果列名：别名，或列引用（a.id）的列名；其他表达式返回 null
+ */
+function columnName(expression) {
+  const ref = COLUMN_REF_REGEX.exec(expression);
+  if (ref) {
+    return unquote(ref[1]);
+  }
+
+  const alias = ALIAS_REGEX.exec(expression);
+  if (alias && !NON_ALIAS_KEYWORDS.has(alias[1].toUpperCase())) {
+    return unquote(alias[1]);
+  }
+
+  return null;
+}
+
+function unquote(name) {
+  return /^[`'"]/.test(name) ? name.slice(1, -1) : name;
+}
@@ -0,0 +1,45 @@
+/**
+ * sqlColumns.js 的行为检查（node --test）
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hasTopLevelLimit, inspectSelectColumns } from './sqlColumns.js';
+
+test('JOIN 查询中的同名列', () => {
+  assert.deepEqual(inspectSelectColumns('SELECT a.id, b.id FROM a JOIN b ON a.x = b.x').duplicates, ['id']);
+  assert.deepEqual(inspectSelectColumns('SELECT o.id, c.name, i.name FROM o JOIN c ON 1 JOIN i ON 1').duplicates, ['name']);
+  assert.deepEqual(inspectSelectColumns('SELECT id, ID FROM t').duplicates, ['id']);
+});
+
+test('别名', () => {
+  assert.deepEqual(inspectSelectColumns('SELECT a.id, b.id AS b_id FROM a JOIN b ON a.x = b.x').duplicates, []);
+  assert.deepEqual(inspectSelectColumns('SELECT a.id, b.id b_id FROM a JOIN b ON a.x = b.x').duplicates, []);
+  assert.deepEqual(inspectSelectColumns('SELECT COUNT(*) AS cnt, MAX(x) cnt FROM t').duplicates, ['cnt']);
+  assert.deepEqual(inspectSelectColumns('SELECT `id`, t.`id` AS `tid` FROM t').duplicates, []);
+  assert.deepEqual(inspectSelectColumns('SELECT CASE WHEN a THEN 1 END, CASE WHEN b THEN 2 END FROM t').duplicates, []);
+});
+
+test('多表连接时使用 *', () => {
+  assert.equal(inspectSelectColumns('SELECT * FROM a JOIN b ON a.id = b.aid').ambiguousStar, true);
+  assert.equal(inspectSelectColumns('SELECT * FROM a, b WHERE a.id = b.aid').ambiguousStar, true);
+  assert.equal(inspectSelectColumns('SELECT a.*, b.* FROM a JOIN b ON a.id = b.aid').ambiguousStar, true);
+  assert.equal(inspectSelectColumns('SELECT a.*, b.name FROM a JOIN b ON a.id = b.aid').ambiguousStar, false);
+  assert.equal(inspectSelectColumns('SELECT * FROM a').ambiguousStar, false);
+});
+
+test('子查询、字符串、注释和动态标签', () => {
+  assert.deepEqual(inspectSelectColumns('SELECT t.id, (SELECT id FROM x LIMIT 1) AS id FROM t').duplicates, ['id']);
+  assert.deepEqual(inspectSelectColumns('SELECT id, (SELECT MAX(id) FROM x) AS max_id FROM t').duplicates, []);
+  assert.deepEqual(inspectSelectColumns("SELECT 'a, id' AS s, id FROM t -- id\n WHERE 1").duplicates, []);
+  assert.deepEqual(inspectSelectColumns('SELECT id, <if test="x">status,</if> name FROM t WHERE id = #{id}').duplicates, []);
+  assert.deepEqual(inspectSelectColumns('UPDATE t SET a = 1'), { duplicates: [], ambiguousStar: false });
+});
+
+test('最外层的 LIMIT', () => {
+  assert.equal(hasTopLevelLimit('SELECT * FROM t ORDER BY id LIMIT 10'), true);
+  assert.equal(hasTopLevelLimit('select * from t limit #{n}'), true);
+  assert.equal(hasTopLevelLimit('SELECT * FROM t WHERE id IN (SELECT id FROM x LIMIT 5)'), false);
+  assert.equal(hasTopLevelLimit("SELECT 'LIMIT 1' AS s FROM t -- LIMIT 2"), false);
+  assert.equal(hasTopLevelLimit('SELECT no_limit, limited FROM t'), false);
+});
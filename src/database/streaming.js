@@ -0,0 +1,184 @@
+/**
+ * 流式输出
+ * 对应 API 配置中的 stream 字段，最后一个 SQL（查询）的结果逐行输出，不在内存中缓存整个结果集
+ *
+ * 配置示例:
+ *   "stream": true
+ *   "stream": { "format": "ndjson", "maxRows": 500000 }
+ *
+ * - format: json（默认，分块输出 {"success":true,"data":[...],"truncated":false}）或 ndjson（每行一个 JSON 对象）
+ *   请求头 Accept 为 application/x-ndjson 时使用 ndjson
+ * - maxRows: 最多输出的行数（默认 100000），超出的行不输出，json 格式中 truncated 为 true
+ *
+ * 行通过 mysql2 的行流读取，客户端读取较慢时暂停从数据库读取（背压）
+ * 请求导出 CSV（format=csv）时同样逐行输出，见 utils/exportFormats.js
+ */
+
+import { Readable, Transform, pipeline } from 'stream';
+import { CSV_BOM, csvLine, EXPORT_CONTENT_TYPES } from '../utils/exportFormats.js';
+
+export const STREAM_FORMATS = ['json', 'ndjson'];
+
+const DEFAULT_STREAM = {
+  format: 'json',
+  maxRows: 100000
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: EXPORT_CONTENT_TYPES.csv
+};
+
+/**
+ * 将 stream 字段统一为对象（兼容配置中的 JSON 字符串和 true）
+ * @param {boolean|string|Object} stream
+ * @returns {Object|null} {format, maxRows}，未开启流式输出时返回 null
+ */
+export function normalizeStreamConfig(stream) {
+  if (!stream || stream === 'false') {
+    return null;
+  }
+
+  let config = stream;
+  if (config === true || config === 'true') {
+    config = {};
+  } else if (typeof config === 'string') {
+    config = JSON.parse(config);
+  }
+
+  const result = { ...DEFAULT_STREAM, ...config };
+
+  if (!STREAM_FORMATS.includes(result.format)) {
+    throw new Error(`不支持的流式输出格式: ${result.format}（可选: ${STREAM_FORMATS.join(', ')}）`);
+  }
+  if (!Number.isInteger(result.maxRows) || result.maxRows < 1) {
+    throw new Error('stream.maxRows 必须是正整数');
+  }
+
+  return result;
+}
+
+/**
+ * 根据请求头选择输出格式
+ * @param {Object} stream - normalizeStreamConfig 的结果
+ * @param {string} accept - 请求头 Accept
+ * @returns {Object} 带有所选 format 的 stream 配置
+ */
+export function resolveStreamFormat(stream, accept) {
+  if (accept && /application\/(x-)?ndjson/i.test(accept)) {
+    return { ...stream, format: 'ndjson' };
+  }
+  return stream;
+}
+
+/**
+ * 以行流方式执行查询
+ * 查询在返回列信息之前出错（如 SQL 语法错误）时抛出，调用方可以正常返回错误响应；
+ * 之后出错（如连接断开、查询被终止）时响应已经开始发送，输出流以错误结束，客户端收到的内容不完整
+ *
+ * @param {Object} connection - 加上查询限制的连接（见 applyQueryLimits）
+ * @param {string} sql - 已解析的查询SQL
+ * @param {Array} params - 绑定参数
+ * @param {Object} stream - {format, maxRows}；format 为 csv 时可以用 columns 指定导出的列（见 normalizeExportColumns）
+ * @param {Function} mapRow - 输出前对每行的转换
+ * @returns {Promise<Readable>} 输出流（带 contentType 和 maxRows 属性）；
+ *   输出结束、出错或客户端断开后触发 close
+ */
+export async function openRowStream(connection, sql, params, stream, mapRow) {
+  const baseSql = sql.trim().replace(/;+$/, '');
+
+  // 多查询一行，用于判断是否超出 maxRows（LIMIT 已校验为整数）
+  const rows = connection.connection
+    .execute(`SELECT * FROM (${baseSql}) AS stream_rows LIMIT ${stream.maxRows + 1}`, params)
+    .stream();
+
+  // 配置了查询超时时计时到读完所有行，超时后终止查询（开始输出后超时时响应不完整）
+  const toError = connection.watchRowStream ? connection.watchRowStream(rows) : error => error;
+
+  const output = createSerializer(stream, mapRow);
+  pipeline(rows, output, () => {});
+
+  // 等待查询开始返回结果（收到列信息）或出错
+  // mysql2 在查询出错时先触发 error 再触发 end，Promise 已经 reject，之后的 end 不会当作查询成功
+  const started = new Promise((resolve, reject) => {
+    rows.once('error', reject);
+    rows.once('fields', resolve);
+    rows.once('end', resolve);
+    output.once('error', reject);
+  });
+
+  try {
+    await started;
+  } catch (error) {
+    throw toError(error);
+  }
+
+  return output;
+}
+
+/**
+ * 没有结果时的输出流（如流式输出的 SQL 被 condition 跳过）
+ */
+export function createEmptyStream(stream) {
+  const output = createSerializer(stream, row => row);
+  pipeline(Readable.from([]), output, () => {});
+  return output;
+}
+
+/**
+ * 将行序列化为 json / ndjson / csv 文本
+ */
+function createSerializer({ format, maxRows, columns }, mapRow) {
+  let count = 0;
+  let truncated = false;
+  // csv 未指定导出列时使用第一行的列
+  let csvColumns = columns || null;
+
+  const csvHeader = () => CSV_BOM + (csvColumns ? csvLine(csvColumns.map(column => column.title)) : '');
+
+  const output = new Transform({
+    writableObjectMode: true,
+
+    transform(row, encoding, callback) {
+      if (count >= maxRows) {
+        truncated = true;
+        return callback();
+      }
+
+      if (format === 'csv') {
+        const values = mapRow(row);
+        let head = '';
+        if (count === 0) {
+          csvColumns = csvColumns || Object.keys(values).map(field => ({ field, title: field }));
+          head = csvHeader();
+        }
+        count++;
+        return callback(null, head + csvLine(csvColumns.map(column => values[column.field])));
+      }
+
+      const json = JSON.stringify(mapRow(row));
+      if (format === 'ndjson') {
+        callback(null, `${json}\n`);
+      } else {
+        callback(null, `${count === 0 ? '{"success":true,"data":[' : ','}${json}`);
+      }
+      count++;
+    },
+
+    flush(callback) {
+      if (format === 'csv') {
+        return callback(null, count === 0 ? csvHeader() : '');
+      }
+      if (format === 'ndjson') {
+        return callback();
+      }
+      const head = count === 0 ? '{"success":true,"data":[' : '';
+      callback(null, `${head}],"truncated":${truncated}}`);
+    }
+  });
+
+  output.contentType = CONTENT_TYPES[format];
+  output.maxRows = maxRows;
+  return output;
+}
@@ -8,11 +8,47 @@ import configManager from '../utils/configManager.js';
 import datasourceManager from '../utils/datasourceManager.js';
 import poolManager from '../database/pool.js';
 import routeReloader from '../utils/routeReloader.js';
+import { prepareParams } from '../database/queryParser.js';
+import { RESULT_MODES, RESULT_SHAPES } from '../database/executor.js';
+import { normalizeQueryLimits } from '../database/queryLimits.js';
+import { parseDagConfig } from '../database/dagConfig.js';
+import { resolveApiMethods } from '../utils/apiMethods.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
 const execAsync = promisify(exec);
 
+/**
+ * API 的执行配置（两个查询接口共用）
+ * 管理界面编辑 API 时按这些字段填充表单，保存时原样提交；漏掉的字段保存后会被重置为默认值
+ */
+function executionConfig(api) {
+  return {
+    resultMode: api.resultMode || null,
+    resultShape: api.resultShape || null,
+    keyBy: api.keyBy || null,
+    pagination: parseJsonField(api.pagination),
+    stream: parseJsonField(api.stream),
+    exportColumns: parseJsonField(api.exportColumns),
+    queryTimeout: api.queryTimeout || null,
+    maxRows: api.maxRows || null
+  };
+}
+
+/**
+ * 配置文件中手工填写的 JSON 字符串解析为对象（管理界面按对象读取），无法解析时原样返回
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') {
+    return value === undefined ? null : value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
 /**
  * 注册管理路由
  */
@@ -32,13 +68,17 @@ export function registerAdminRoutes(fastify) {
           id: api.id,
           name: api.name,
           path: api.path,
+          method: api.method || null,
+          methods: resolveApiMethods(api),
           note: api.note,
           contentType: api.contentType,
           groupId: api.groupId,
           params: api.paramsParsed,
+          paramRules: api.paramRulesParsed || {},
           datasourceId: api.datasourceId,
           transaction: api.transaction,
           sqlList: api.sqlList,  // 完整的 SQL 列表
+          ...executionConfig(api),
           status: api.status,
           createTime: api.createTime,
           updateTime: api.updateTime
@@ -82,13 +122,17 @@ export function registerAdminRoutes(fastify) {
             id: api.id,
             name: api.name,
             path: api.path,
+            method: api.method || null,
+            methods: resolveApiMethods(api),
             note: api.note,
             contentType: api.contentType,
             groupId: api.groupId,
             params: api.paramsParsed || [],
+            paramRules: api.paramRulesParsed || {},
             datasourceId: api.datasourceId,
             transaction: api.transaction,
             sqlList: api.sqlList || [],  // ✅ 返回完整的 SQL 列表
+            ...executionConfig(api),
             testParams: api.testParamsParsed || {},  // ✅ 返回测试参数
             status: api.status,
             createTime: api.createTime,
@@ -117,13 +161,23 @@ export function registerAdminRoutes(fastify) {
           path: { type: 'string' },
           note: { type: 'string' },
           contentType: { type: 'string' },
+          method: { type: 'string' },
           groupId: { type: 'string' },
           datasourceId: { type: 'string' },
           sqlText: { type: 'string' },
           sqlList: { type: 'array' },
           params: { type: 'array' },
+          paramRules: { type: 'object' },
           testParams: { type: 'object' },
-          transaction: { type: 'number' }
+          transaction: { type: 'number' },
+          resultMode: { type: 'string', enum: RESULT_MODES },
+          resultShape: { type: 'string', enum: RESULT_SHAPES },
+          keyBy: { type: 'string' },
+          pagination: { description: '自动分页配置（true 或 {mode, defaultPageSize, maxPageSize, sortKeys}）' },
+          stream: { description: '流式输出配置（true 或 {format, maxRows}）' },
+          exportColumns: { description: '导出 CSV / Excel 的列（"字段:表头" 或 {field, title}）' },
+          queryTimeout: { type: 'number' },
+          maxRows: { type: 'number' }
         }
       }
     },
@@ -146,13 +200,22 @@ export function registerAdminRoutes(fastify) {
         };
       } catch (error) {
         // 路径重复错误返回 400
-        if (error.message.includes('已被') && error.message.includes('占用')) {
+        if ((error.message.includes('已被') && error.message.includes('占用')) || error.message.includes('不支持的 HTTP 方法')) {
           return reply.code(400).send({
             success: false,
             message: error.message
           });
         }
 
+        // 配置校验失败返回 400
+        if (error.statusCode === 400) {
+          return reply.code(400).send({
+            success: false,
+            message: error.message,
+            errors: error.details
+          });
+        }
+
         return reply.code(500).send({
           success: false,
           message: error.message
@@ -186,13 +249,22 @@ export function registerAdminRoutes(fastify) {
         };
       } catch (error) {
         // 路径重复错误返回 400
-        if (error.message.includes('已被') && error.message.includes('占用')) {
+        if ((error.message.includes('已被') && error.message.includes('占用')) || error.message.includes('不支持的 HTTP 方法')) {
           return reply.code(400).send({
             success: false,
             message: error.message
           });
         }
 
+        // 配置校验失败返回 400
+        if (error.statusCode === 400) {
+          return reply.code(400).send({
+            success: false,
+            message: error.message,
+            errors: error.details
+          });
+        }
+
         // API不存在返回 404
         if (error.message === 'API不存在') {
           return reply.code(404).send({
@@ -428,7 +500,9 @@ export function registerAdminRoutes(fastify) {
           password: { type: 'string' },
           database: { type: 'string' },
           poolMin: { type: 'number' },
-          poolMax: { type: 'number' }
+          poolMax: { type: 'number' },
+          queryTimeout: { type: 'number' },
+          maxRows: { type: 'number' }
         }
       }
     },
@@ -633,7 +707,7 @@ export function registerAdminRoutes(fastify) {
           sql: newSql
         };
       } catch (error) {
-        return reply.code(500).send({
+        return reply.code(error.statusCode || 500).send({
           success: false,
           error: error.message
         });
@@ -674,7 +748,7 @@ export function registerAdminRoutes(fastify) {
           sql: updatedSql
         };
       } catch (error) {
-        return reply.code(500).send({
+        return reply.code(error.statusCode || 500).send({
           success: false,
           error: error.message
         });
@@ -707,7 +781,7 @@ export function registerAdminRoutes(fastify) {
           sql: deletedSql
         };
       } catch (error) {
-        return reply.code(500).send({
+        return reply.code(error.statusCode || 500).send({
           success: false,
           error: error.message
         });
@@ -715,6 +789,167 @@ export function registerAdminRoutes(fastify) {
     }
   });
 
+  // 获取SQL片段列表
+  fastify.get('/admin/sql-fragments', {
+    schema: {
+      summary: '获取SQL片段列表',
+      tags: ['Admin'],
+      querystring: {
+        type: 'object',
+        properties: {
+          groupId: { type: 'string', description: '分组ID，传 global 只返回全局片段' }
+        }
+      }
+    },
+    handler: async (request, reply) => {
+      try {
+        const fragments = await configManager.getSqlFragments(request.query.groupId);
+        return {
+          success: true,
+          data: fragments
+        };
+      } catch (error) {
+        return reply.code(500).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // 创建SQL片段
+  fastify.post('/admin/sql-fragments', {
+    schema: {
+      summary: '创建SQL片段',
+      tags: ['Admin'],
+      body: {
+        type: 'object',
+        required: ['id', 'sqlText'],
+        properties: {
+          id: { type: 'string', description: '片段ID（<include refid> 引用的名称）' },
+          groupId: { type: 'string', description: '所属分组，为空表示全局片段' },
+          sqlText: { type: 'string', description: '片段内容' },
+          note: { type: 'string', description: '说明' }
+        }
+      }
+    },
+    handler: async (request, reply) => {
+      try {
+        const newFragment = await configManager.createSqlFragment(request.body);
+
+        // 🔥 自动触发路由热加载
+        try {
+          await routeReloader.reload();
+        } catch (reloadError) {
+          console.error('热加载失败:', reloadError);
+        }
+
+        return {
+          success: true,
+          message: 'SQL片段创建成功',
+          data: newFragment
+        };
+      } catch (error) {
+        // ID 重复、格式错误或导致 API 无法执行时返回 400
+        if (error.statusCode === 400 || error.message.includes('已存在') || error.message.startsWith('SQL片段ID')) {
+          return reply.code(400).send({
+            success: false,
+            message: error.message
+          });
+        }
+
+        return reply.code(500).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // 更新SQL片段
+  fastify.put('/admin/sql-fragments/:id', {
+    schema: {
+      summary: '更新SQL片段',
+      tags: ['Admin'],
+      querystring: {
+        type: 'object',
+        properties: {
+          groupId: { type: 'string', description: '所属分组，为空表示全局片段' }
+        }
+      },
+      body: {
+        type: 'object',
+        properties: {
+          sqlText: { type: 'string' },
+          note: { type: 'string' }
+        }
+      }
+    },
+    handler: async (request, reply) => {
+      try {
+        const updatedFragment = await configManager.updateSqlFragment(
+          request.params.id,
+          request.query.groupId,
+          request.body
+        );
+
+        // 🔥 自动触发路由热加载
+        try {
+          await routeReloader.reload();
+        } catch (reloadError) {
+          console.error('热加载失败:', reloadError);
+        }
+
+        return {
+          success: true,
+          message: 'SQL片段更新成功',
+          data: updatedFragment
+        };
+      } catch (error) {
+        return reply.code(error.message === 'SQL片段不存在' ? 404 : (error.statusCode || 500)).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // 删除SQL片段
+  fastify.delete('/admin/sql-fragments/:id', {
+    schema: {
+      summary: '删除SQL片段',
+      tags: ['Admin'],
+      querystring: {
+        type: 'object',
+        properties: {
+          groupId: { type: 'string', description: '所属分组，为空表示全局片段' }
+        }
+      }
+    },
+    handler: async (request, reply) => {
+      try {
+        await configManager.deleteSqlFragment(request.params.id, request.query.groupId);
+
+        // 🔥 自动触发路由热加载
+        try {
+          await routeReloader.reload();
+        } catch (reloadError) {
+          console.error('热加载失败:', reloadError);
+        }
+
+        return {
+          success: true,
+          message: 'SQL片段删除成功'
+        };
+      } catch (error) {
+        return reply.code(error.message === 'SQL片段不存在' ? 404 : (error.statusCode || 500)).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
   // 临时测试执行 API（不需要保存，直接测试SQL）
   fastify.post('/admin/test-execute', {
     schema: {
@@ -725,15 +960,25 @@ export function registerAdminRoutes(fastify) {
         required: ['datasourceId', 'sqlList'],
         properties: {
           datasourceId: { type: 'string' },
+          groupId: { type: 'string' },
           sqlList: { type: 'array' },
+          params: { type: 'array' },
+          paramRules: { type: 'object' },
           testParams: { type: 'object' },
-          transaction: { type: 'number' }
+          transaction: { type: 'number' },
+          resultMode: { type: 'string', enum: RESULT_MODES },
+          resultShape: { type: 'string', enum: RESULT_SHAPES },
+          keyBy: { type: 'string' },
+          pagination: { description: '自动分页配置（true 或 {mode, defaultPageSize, maxPageSize, sortKeys}）' },
+          queryTimeout: { type: 'number' },
+          maxRows: { type: 'number' }
         }
       }
     },
     handler: async (request, reply) => {
       try {
-        const { datasourceId, sqlList, testParams = {}, transaction = 0 } = request.body;
+        const { datasourceId, groupId, sqlList, params: paramDefinitions = [], testParams = {}, transaction = 0, resultMode, resultShape, keyBy, pagination } = request.body;
+        const limits = normalizeQueryLimits(request.body);
 
         // 构造临时task配置
         const tempTask = [{
@@ -743,7 +988,14 @@ export function registerAdminRoutes(fastify) {
             transformPlugin: null,
             transformPluginParam: null,
             sqlText: sql.sqlText || sql,
-            id: sql.id || 'temp'
+            id: sql.id || 'temp',
+            resultKey: sql.resultKey || null,
+            condition: sql.condition || null,
+            foreach: sql.foreach || null,
+            item: sql.item || 'item',
+            index: sql.index || null,
+            resultShape: sql.resultShape || null,
+            keyBy: sql.keyBy || null
           })),
           transaction
         }];
@@ -751,8 +1003,9 @@ export function registerAdminRoutes(fastify) {
         // 动态导入 executor
         const { executeApiTask } = await import('../database/executor.js');
 
-        // 执行SQL
-        const result = await executeApiTask(tempTask, testParams);
+        // 执行SQL（可使用全局片段和所选分组的片段）
+        const fragments = await configManager.getFragmentResolver(groupId);
+        const result = await executeApiTask(tempTask, testParams, { fragments, paramDefinitions, resultMode, resultShape, keyBy, pagination, limits });
 
         return {
           success: true,
@@ -791,14 +1044,31 @@ export function registerAdminRoutes(fastify) {
           });
         }
 
-        // 使用传入的参数或配置的测试参数
-        const testParams = overrideParams || api.testParamsParsed || {};
+        // 使用传入的参数或配置的测试参数，未传的参数填充默认值并按声明类型转换
+        const { params: testParams } = prepareParams(
+          api.paramsParsed,
+          overrideParams || api.testParamsParsed || {},
+          api.paramRulesParsed
+        );
 
         // 动态导入 executor（避免循环依赖）
-        const { executeApiTask } = await import('../database/executor.js');
-
-        // 执行SQL
-        const result = await executeApiTask(api.task, testParams);
+        const { executeApiTask, executeApiDag } = await import('../database/executor.js');
+
+        // 执行SQL（配置了 DAG 时按 DAG 编排执行）
+        const fragments = await configManager.getFragmentResolver(api.groupId);
+        const executeOptions = {
+          fragments,
+          paramDefinitions: api.paramsParsed || [],
+          resultMode: api.resultMode,
+          resultShape: api.resultShape,
+          keyBy: api.keyBy,
+          pagination: api.pagination,
+          limits: normalizeQueryLimits(api)
+        };
+        const dag = parseDagConfig(api);
+        const result = dag
+          ? await executeApiDag(dag, testParams, executeOptions)
+          : await executeApiTask(api.task, testParams, executeOptions);
 
         return {
           success: true,
@@ -825,32 +1095,78 @@ export function registerAdminRoutes(fastify) {
     },
     handler: async (request, reply) => {
       try {
-        // 清空配置缓存
-        console.log('🔄 清空API配置缓存...');
+        console.log('🔄 重新加载API配置...');
         const result = await routeReloader.reload();
 
         if (result.success) {
           return {
             success: true,
-            message: `配置缓存已清空！下次请求将使用最新配置，耗时 ${result.duration}`,
-            method: 'cache-clear',
+            message: `配置已重新加载！可用API数量 ${result.apiCount} 个，耗时 ${result.duration}`,
+            method: 'reload',
             details: result
           };
-        } else {
-          throw new Error(result.message);
         }
+
+        return reply.code(500).send({
+          success: false,
+          message: result.message,
+          errors: result.errors,
+          details: result
+        });
       } catch (error) {
-        console.error('清空配置缓存失败:', error);
+        console.error('重新加载配置失败:', error);
 
         return reply.code(500).send({
           success: false,
-          message: '清空配置缓存失败: ' + error.message,
+          message: '重新加载配置失败: ' + error.message,
           hint: '如需完全重启，请手动执行: docker restart kewen-sql-api'
         });
       }
     }
   });
 
+  // 获取配置热加载状态
+  fastify.get('/admin/config/reload-status', {
+    schema: {
+      summary: '获取配置热加载状态（最近的加载结果和解析错误）',
+      tags: ['Admin']
+    },
+    handler: async (request, reply) => {
+      try {
+        return {
+          success: true,
+          data: routeReloader.getStatus()
+        };
+      } catch (error) {
+        return reply.code(500).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // 校验API配置
+  fastify.get('/admin/config/validate', {
+    schema: {
+      summary: '校验API配置（task/params 解析、数据源、路径重复、参数引用、模板标签）',
+      tags: ['Admin']
+    },
+    handler: async (request, reply) => {
+      try {
+        return {
+          success: true,
+          data: await configManager.validateConfig()
+        };
+      } catch (error) {
+        return reply.code(500).send({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+  });
+
   console.log('  ✓ GET    /admin/apis                                        获取所有API');
   console.log('  ✓ GET    /admin/apis/:id                                    获取单个API');
   console.log('  ✓ POST   /admin/apis                                        创建API');
@@ -859,6 +1175,10 @@ export function registerAdminRoutes(fastify) {
   console.log('  ✓ POST   /admin/apis/:apiId/sql                             添加SQL');
   console.log('  ✓ PUT    /admin/apis/:apiId/sql/:sqlId                      更新SQL');
   console.log('  ✓ DELETE /admin/apis/:apiId/sql/:sqlId                      删除SQL');
+  console.log('  ✓ GET    /admin/sql-fragments                               获取SQL片段');
+  console.log('  ✓ POST   /admin/sql-fragments                               创建SQL片段');
+  console.log('  ✓ PUT    /admin/sql-fragments/:id                           更新SQL片段');
+  console.log('  ✓ DELETE /admin/sql-fragments/:id                           删除SQL片段');
   console.log('  ✓ POST   /admin/test-execute                                临时测试执行SQL');
   console.log('  ✓ POST   /admin/apis/:id/test-execute                       测试执行API');
   console.log('  ✓ GET    /admin/groups                                      获取分组');
@@ -868,5 +1188,7 @@ export function registerAdminRoutes(fastify) {
   console.log('  ✓ PUT    /admin/datasources/:id                             更新数据源');
   console.log('  ✓ DELETE /admin/datasources/:id                             删除数据源');
   console.log('  ✓ POST   /admin/datasources/test                            测试数据源连接');
-  console.log('  ✓ POST   /admin/restart                                     重启服务器');
+  console.log('  ✓ POST   /admin/restart                                     重新加载API配置');
+  console.log('  ✓ GET    /admin/config/reload-status                        配置热加载状态');
+  console.log('  ✓ GET    /admin/config/validate                             校验API配置');
 }
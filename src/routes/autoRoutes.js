@@ -6,99 +6,185 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { executeApiTask } from '../database/executor.js';
-import { validateParams, mergeParams } from '../database/queryParser.js';
+import { Readable } from 'stream';
+import { executeApiTask, executeApiDag } from '../database/executor.js';
+import { prepareParams, mergeParams, createParameterError } from '../database/queryParser.js';
+import { resolveStreamFormat } from '../database/streaming.js';
+import { resolveExportFormat, createExportFile, contentDisposition, EXPORT_CONTENT_TYPES } from '../utils/exportFormats.js';
+import { SUPPORTED_METHODS } from '../utils/apiMethods.js';
+import { buildRouteIndex } from '../utils/routeIndex.js';
+import { validateConfigWithDatasources, formatReport } from '../utils/configValidator.js';
 
-// 配置缓存
-let configCache = null;
-let lastLoadTime = 0;
-const CACHE_TTL = 1000; // 缓存1秒，平衡性能和实时性
+// 当前生效的配置：加载并校验成功后整体替换，请求处理过程中不会看到半新半旧的配置
+let current = null;
+
+// 最近的加载记录
+const reloadHistory = [];
+const RELOAD_HISTORY_LIMIT = 20;
+
+// 串行执行加载，避免文件监听和手动刷新同时加载
+let reloadChain = Promise.resolve();
 
 /**
- * 加载API配置（带缓存）
+ * 重新加载API配置
+ * 新配置先完整解析和校验，通过后才替换当前配置；校验失败时继续使用上一次加载成功的配置
+ * 首次加载时（没有可用的旧配置）单个 API 解析失败不影响其他 API 启用
+ * @param {string} configPath - 配置文件路径
+ * @param {string} trigger - 触发方式: startup / watch / manual
+ * @returns {Promise<Object>} 加载结果
  */
-async function loadApiConfig(configPath) {
-  const now = Date.now();
+export function reloadApiConfig(configPath, trigger = 'manual') {
+  const task = reloadChain.then(() => doReload(configPath, trigger));
+  reloadChain = task.catch(() => {});
+  return task;
+}
 
-  // 如果缓存存在且未过期，直接返回
-  if (configCache && (now - lastLoadTime) < CACHE_TTL) {
-    return configCache;
-  }
+async function doReload(configPath, trigger) {
+  const startTime = Date.now();
+  const absolutePath = path.resolve(configPath);
+  let errors = [];
+  let index = null;
+  let config = null;
 
   try {
-    const absolutePath = path.resolve(configPath);
     const content = await fs.readFile(absolutePath, 'utf-8');
-    const config = JSON.parse(content);
 
-    // 更新缓存
-    configCache = config;
-    lastLoadTime = now;
+    // 文件监听可能对同一次保存触发多次事件，内容未变化时直接跳过
+    if (trigger === 'watch' && current && current.content === content) {
+      return null;
+    }
 
-    return config;
-  } catch (error) {
-    console.error('❌ 加载API配置失败:', error.message);
-    // 如果加载失败但有旧缓存，返回旧缓存
-    if (configCache) {
-      console.log('⚠️  使用缓存的配置');
-      return configCache;
+    config = JSON.parse(content);
+    errors = checkConfigStructure(config);
+
+    if (errors.length === 0) {
+      index = buildRouteIndex(config);
+      errors = index.errors;
+    }
+
+    if (index && (errors.length === 0 || !current)) {
+      current = { config, content, routeIndex: index, loadedAt: new Date().toISOString().replace('T', ' ').substring(0, 19) };
+    } else {
+      index = null;
     }
-    throw error;
+  } catch (error) {
+    errors = [error.code === 'ENOENT' ? `配置文件不存在: ${absolutePath}` : `配置文件解析失败: ${error.message}`];
+  }
+
+  const result = {
+    success: index !== null,
+    trigger,
+    time: new Date().toISOString().replace('T', ' ').substring(0, 19),
+    duration: `${Date.now() - startTime}ms`,
+    apiCount: current ? current.routeIndex.size : 0,
+    errors,
+    message: index
+      ? (errors.length > 0 ? `配置已加载，${errors.length} 个 API 配置有误已停用` : '配置已加载')
+      : (current ? '新配置无效，继续使用上一次加载成功的配置' : '配置加载失败，没有可用的配置')
+  };
+
+  // 完整校验（数据源、路径重复、参数引用、模板标签等），结果只做报告，不阻止加载
+  if (result.success) {
+    result.validation = await validateConfigReport(config);
+  }
+
+  reloadHistory.unshift(result);
+  reloadHistory.length = Math.min(reloadHistory.length, RELOAD_HISTORY_LIMIT);
+
+  if (result.success) {
+    console.log(`🔄 API配置已重新加载 (${trigger})，可用API数量: ${result.apiCount} 个，耗时 ${result.duration}`);
+  } else {
+    console.error(`❌ API配置加载失败 (${trigger})，${result.message}:`, errors.join('; '));
   }
+  return result;
 }
 
 /**
- * 清空配置缓存（用于热加载）
+ * 校验配置并输出报告
+ * @returns {Promise<Object>} 校验结果摘要
  */
-export function clearConfigCache() {
-  configCache = null;
-  lastLoadTime = 0;
-  console.log('🔄 配置缓存已清空');
+async function validateConfigReport(config) {
+  try {
+    const report = await validateConfigWithDatasources(config);
+    if (report.apis.length > 0 || report.errors.length > 0) {
+      console.warn(`⚠️  API配置校验: ${report.summary.errorCount} 个错误，${report.summary.warningCount} 个警告`);
+      console.warn(formatReport(report));
+    }
+    return report.summary;
+  } catch (error) {
+    console.error('❌ API配置校验失败:', error.message);
+    return null;
+  }
 }
 
 /**
- * 根据路径查找API配置
+ * 检查配置文件的基本结构
+ * @returns {Array<string>} 错误信息列表
  */
-async function findApiByPath(configPath, requestPath) {
-  const config = await loadApiConfig(configPath);
-
-  // 移除开头的斜杠进行匹配
-  const normalizedPath = requestPath.startsWith('/') ? requestPath.substring(1) : requestPath;
+function checkConfigStructure(config) {
+  if (!config || typeof config !== 'object' || !Array.isArray(config.api)) {
+    return ['配置文件缺少 api 数组'];
+  }
 
-  // 查找匹配的API
-  const api = config.api.find(a => {
-    const apiPath = a.path.startsWith('/') ? a.path.substring(1) : a.path;
-    return apiPath === normalizedPath && a.status === 1;
+  const errors = [];
+  config.api.forEach((api, i) => {
+    if (!api || typeof api.path !== 'string' || api.path.trim() === '') {
+      errors.push(`第 ${i + 1} 个 API 缺少 path`);
+    }
   });
+  if (config.sqlFragments !== undefined && !Array.isArray(config.sqlFragments)) {
+    errors.push('sqlFragments 必须是数组');
+  }
+  return errors;
+}
 
-  return api;
+/**
+ * 获取配置加载状态（当前生效的配置和最近的加载记录）
+ */
+export function getReloadStatus() {
+  return {
+    loadedAt: current ? current.loadedAt : null,
+    apiCount: current ? current.routeIndex.size : 0,
+    lastResult: reloadHistory[0] || null,
+    history: [...reloadHistory]
+  };
 }
 
 /**
- * 确定 HTTP 方法
+ * 根据路径和 HTTP 方法查找路由
+ * 同一路径可以按方法对应不同的 API（如 GET 查询、PUT 修改、DELETE 删除）
+ * @returns {{route: Object|null, pathParams: Object, allowedMethods: Array<string>}}
  */
-function determineHttpMethod(apiParams, contentType) {
-  // 1. 优先检查 contentType
-  // 如果明确指定了需要请求体的 contentType，则使用 POST
-  if (contentType === 'application/json' || contentType === 'application/x-www-form-urlencoded') {
-    return 'POST';
+function findRoute(requestPath, method) {
+  if (!current) {
+    throw new Error('API配置未加载，请检查配置文件');
   }
+  return current.routeIndex.match(method, requestPath);
+}
 
-  // 2. 然后检查是否有参数
-  if (!apiParams || apiParams === '[]') {
-    return 'GET';
+/**
+ * 使用 Fastify 的校验器（Ajv）按 JSON Schema 校验数组/对象参数
+ * schema 在构建路由索引时生成，Fastify 按 schema 对象缓存编译后的校验函数
+ * @returns {Array<string>} 错误信息列表
+ */
+function validateParamsSchema(request, schema, params) {
+  if (!schema) {
+    return [];
   }
 
-  try {
-    const params = JSON.parse(apiParams);
-    if (!Array.isArray(params) || params.length === 0) {
-      return 'GET';
-    }
-  } catch (e) {
-    return 'GET';
+  const validate = request.compileValidationSchema(schema, 'body');
+  if (validate(params)) {
+    return [];
   }
 
-  // 3. 有参数默认使用 POST
-  return 'POST';
+  return (validate.errors || []).map(error => {
+    // /order/items/0/sku => order.items[0].sku
+    const path = error.instancePath
+      .split('/')
+      .filter(Boolean)
+      .reduce((result, key) => (/^\d+$/.test(key) ? `${result}[${key}]` : (result ? `${result}.${key}` : key)), '');
+    return `参数 ${path || '(root)'} ${error.message}`;
+  });
 }
 
 /**
@@ -121,9 +207,9 @@ export async function registerAutoRoutes(fastify, configPath) {
 
     try {
       // 动态查找API配置
-      const api = await findApiByPath(configPath, requestPath);
+      const { route, pathParams, allowedMethods } = findRoute(requestPath, request.method);
 
-      if (!api) {
+      if (!route && allowedMethods.length === 0) {
         return reply.code(404).send({
           success: false,
           error: 'NotFound',
@@ -132,30 +218,85 @@ export async function registerAutoRoutes(fastify, configPath) {
       }
 
       // 验证HTTP方法
-      const expectedMethod = determineHttpMethod(api.params, api.contentType);
-      if (request.method !== expectedMethod) {
-        return reply.code(405).send({
+      if (!route) {
+        return reply.code(405).header('Allow', allowedMethods.join(', ')).send({
           success: false,
           error: 'MethodNotAllowed',
-          message: `API "${api.name}" 仅支持 ${expectedMethod} 方法`
+          message: `API路径 "/${requestPath}" 仅支持 ${allowedMethods.join('/')} 方法`
         });
       }
 
-      // 合并所有参数
-      const requestParams = mergeParams(request);
+      if (route.configError) {
+        throw new Error(route.configError);
+      }
+
+      // 按声明的来源（query/body/path/header/cookie）收集参数，path 来自路径模板中的 :name 段
+      const merged = mergeParams(request, route.params, pathParams);
+
+      // 填充默认值并按声明类型转换（"10" -> 10, "true" -> true）后校验
+      const validation = prepareParams(route.params, merged.params, route.paramRules);
+
+      // 数组/对象参数按声明的 JSON Schema 校验
+      const schemaErrors = validateParamsSchema(request, route.paramsSchema, validation.params);
 
-      // 参数验证
-      const validation = validateParams(api.params, requestParams);
-      if (!validation.valid) {
+      if (merged.errors.length > 0 || !validation.valid || schemaErrors.length > 0) {
         return reply.code(400).send({
           error: 'ParameterValidationError',
           message: '参数验证失败',
-          details: validation.errors
+          details: [...merged.errors, ...validation.errors, ...schemaErrors]
         });
       }
+      const requestParams = validation.params;
+
+      // 导出为文件（format=csv|xlsx 或 Accept 请求头）
+      const exportFormat = resolveExportFormat(request, route.params);
+
+      let stream = route.stream && resolveStreamFormat(route.stream, request.headers.accept);
+      if (stream && exportFormat) {
+        // 流式输出的 API 逐行导出 CSV；xlsx 需要在内存中生成整个文件
+        if (exportFormat !== 'csv') {
+          throw createParameterError('流式输出的 API 只支持导出 csv');
+        }
+        stream = { ...stream, format: 'csv', columns: route.exportColumns };
+      }
 
-      // 执行SQL任务
-      const result = await executeApiTask(api.task, requestParams);
+      // 执行SQL任务（SQL片段 <include refid="..."> 按分组预先构建）
+      // 配置了 DAG 时按 DAG 编排执行
+      const executeOptions = {
+        fragments: route.fragments,
+        paramDefinitions: route.params,
+        resultMode: route.api.resultMode,
+        resultShape: route.api.resultShape,
+        keyBy: route.api.keyBy,
+        pagination: route.pagination,
+        stream,
+        limits: route.limits,
+        recordedSteps: route.recordedSteps
+      };
+      const result = route.dag
+        ? await executeApiDag(route.dag, requestParams, executeOptions)
+        : await executeApiTask(route.task, requestParams, executeOptions);
+
+      // 流式输出：逐行写入响应（格式由输出流决定）
+      if (result instanceof Readable) {
+        if (exportFormat) {
+          reply.header('Content-Disposition', contentDisposition(route.api, exportFormat));
+        }
+        return reply
+          .type(result.contentType)
+          .header('X-Max-Rows', result.maxRows)
+          .send(result);
+      }
+
+      if (exportFormat) {
+        return reply
+          .type(EXPORT_CONTENT_TYPES[exportFormat])
+          .header('Content-Disposition', contentDisposition(route.api, exportFormat))
+          .send(createExportFile(result, exportFormat, {
+            columns: route.exportColumns,
+            sheetName: route.api.name
+          }));
+      }
 
       // 返回结果
       return reply.send({
@@ -166,7 +307,8 @@ export async function registerAutoRoutes(fastify, configPath) {
     } catch (error) {
       console.error(`❌ API执行失败 [/${requestPath}]:`, error.message);
 
-      return reply.code(500).send({
+      // 参数错误（如 ${} 替换校验失败）带有 statusCode = 400，查询结果超过最大行数（MaxRowsExceeded）为 413，查询超时（QueryTimeout）为 504
+      return reply.code(error.statusCode || 500).send({
         success: false,
         error: error.name || 'InternalServerError',
         message: error.message
@@ -183,18 +325,16 @@ export async function registerAutoRoutes(fastify, configPath) {
     handler: dynamicApiHandler
   };
 
-  // 分别注册 GET 和 POST 路由（避免与 CORS 的 OPTIONS 路由冲突）
-  fastify.get('/*', routeConfig);
-  fastify.post('/*', routeConfig);
+  // 分别注册各个方法的路由（不注册 OPTIONS，避免与 CORS 的 OPTIONS 路由冲突）
+  fastify.route({ ...routeConfig, method: SUPPORTED_METHODS, url: '/*' });
 
-  // 初始加载配置并显示统计
-  try {
-    const config = await loadApiConfig(configPath);
-    const enabledApis = config.api.filter(a => a.status === 1);
+  // 初始加载配置并显示统计（之后由 routeReloader 监听文件变化自动重新加载）
+  const result = await reloadApiConfig(configPath, 'startup');
+  if (result.success) {
     console.log(`✅ 动态路由处理器已注册`);
-    console.log(`📋 可用API数量: ${enabledApis.length} 个`);
-    console.log(`🔥 支持热加载: 修改配置立即生效`);
-  } catch (error) {
-    console.error('❌ 初始化动态路由处理器失败:', error);
+    console.log(`📋 可用API数量: ${result.apiCount} 个`);
+    console.log(`🔥 支持热加载: 修改配置文件自动生效`);
+  } else {
+    console.error('❌ 初始化动态路由处理器失败:', result.errors.join('; '));
   }
 }
@@ -0,0 +1,75 @@
+/**
+ * API 的 HTTP 方法
+ * 优先使用 API 配置中的 method 字段（如 "PUT"、"GET,POST"），
+ * 未配置时按 contentType 和参数推断（兼容旧配置）
+ */
+
+export const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * 解析 method 字段
+ * @param {string|Array<string>} method - "GET"、"GET,POST" 或 ["GET", "POST"]
+ * @returns {Array<string>} 大写的方法列表（去重），未配置时返回空数组
+ */
+export function parseMethodList(method) {
+  if (!method) {
+    return [];
+  }
+
+  const list = Array.isArray(method) ? method : String(method).split(',');
+  const methods = list.map(m => String(m).trim().toUpperCase()).filter(Boolean);
+
+  return [...new Set(methods)];
+}
+
+/**
+ * 校验 method 字段，返回不支持的方法
+ * @param {string|Array<string>} method
+ * @returns {Array<string>}
+ */
+export function findUnsupportedMethods(method) {
+  return parseMethodList(method).filter(m => !SUPPORTED_METHODS.includes(m));
+}
+
+/**
+ * 推断 HTTP 方法（未配置 method 字段时使用）
+ */
+export function inferHttpMethod(apiParams, contentType) {
+  // 1. 优先检查 contentType
+  // 如果明确指定了需要请求体的 contentType，则使用 POST
+  if (contentType === 'application/json' || contentType === 'application/x-www-form-urlencoded') {
+    return 'POST';
+  }
+
+  // 2. 然后检查是否有参数
+  if (!apiParams || apiParams === '[]') {
+    return 'GET';
+  }
+
+  try {
+    const params = typeof apiParams === 'string' ? JSON.parse(apiParams) : apiParams;
+    if (!Array.isArray(params) || params.length === 0) {
+      return 'GET';
+    }
+  } catch (e) {
+    return 'GET';
+  }
+
+  // 3. 有参数默认使用 POST
+  return 'POST';
+}
+
+/**
+ * 获取 API 支持的 HTTP 方法
+ * @param {Object} api - API 配置
+ * @returns {Array<string>}
+ */
+export function resolveApiMethods(api) {
+  const methods = parseMethodList(api.method).filter(m => SUPPORTED_METHODS.includes(m));
+
+  if (methods.length > 0) {
+    return methods;
+  }
+
+  return [inferHttpMethod(api.params, api.contentType)];
+}
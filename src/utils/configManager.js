@@ -8,6 +8,10 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import datasourceManager from './datasourceManager.js';
+import { createFragmentResolver } from '../database/queryParser.js';
+import { getRouteShape } from './pathTemplate.js';
+import { SUPPORTED_METHODS, parseMethodList, findUnsupportedMethods, resolveApiMethods } from './apiMethods.js';
+import { validateConfig, validateConfigWithDatasources } from './configValidator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,11 +33,13 @@ class ConfigManager {
         try {
           const parsedTask = api.task ? JSON.parse(api.task) : [];
           const parsedParams = api.params ? JSON.parse(api.params) : [];
+          const parsedParamRules = api.paramRules ? JSON.parse(api.paramRules) : {};
 
           return {
             ...api,
             taskParsed: parsedTask,
             paramsParsed: parsedParams,
+            paramRulesParsed: parsedParamRules,
             // 兼容性：提取第一个 task 的信息作为主要信息
             datasourceId: parsedTask[0]?.datasourceId || null,
             transaction: parsedTask[0]?.transaction || 0,
@@ -41,7 +47,7 @@ class ConfigManager {
           };
         } catch (e) {
           console.error(`解析 API ${api.id} 失败:`, e);
-          return api;
+          return { ...api, parseError: e.message };
         }
       });
 
@@ -82,29 +88,24 @@ class ConfigManager {
    * @param {Array} apiData.sqlList - SQL 列表 [{sqlText, id?}]
    * @param {number} apiData.transaction - 是否启用事务 (0/1)
    * @param {string} apiData.contentType - Content-Type
+   * @param {string|Array} apiData.method - HTTP 方法（如 "PUT"、"GET,POST"，不填时自动判断）
    * @param {string} apiData.note - 说明
    * @param {Array} apiData.params - 参数列表
+   * @param {Object} apiData.paramRules - 参数校验规则（参数名 => 规则）
    * @param {Object} apiData.testParams - 测试参数（JSON对象）
    */
   async createApi(apiData) {
     const config = await this._readConfig();
 
-    // 检查路径是否已被占用
-    const existingApi = config.api.find(api => api.path === apiData.path);
-    if (existingApi) {
-      throw new Error(`路径 "${apiData.path}" 已被 API "${existingApi.name}" 占用，请使用其他路径`);
-    }
+    // 检查路径是否已被占用（同一路径不同方法可以对应不同 API）
+    const method = this._normalizeMethod(apiData.method);
+    this._checkPathConflict(config, { ...apiData, method });
 
     // 生成新的 ID
     const newId = this._generateId();
 
     // 处理 SQL 列表
-    const sqlList = (apiData.sqlList || []).map(sql => ({
-      transformPlugin: null,
-      transformPluginParam: null,
-      sqlText: sql.sqlText || sql,
-      id: sql.id || this._generateId()
-    }));
+    const sqlList = (apiData.sqlList || []).map(sql => this._buildSqlItem(sql));
 
     // 如果没有提供 sqlList，但提供了 sqlText，使用单个 SQL
     if (sqlList.length === 0 && apiData.sqlText) {
@@ -129,13 +130,22 @@ class ConfigManager {
       graphData: null,
       groupId: apiData.groupId,
       jsonParam: null,
+      method,
       name: apiData.name,
       note: apiData.note || apiData.name,
       paramProcessPlugin: null,
-      paramRules: null,
+      paramRules: apiData.paramRules && Object.keys(apiData.paramRules).length > 0 ? JSON.stringify(apiData.paramRules) : null,
       params: JSON.stringify(apiData.params || []),
       paramsJson: null,
       path: apiData.path,
+      resultMode: apiData.resultMode || null,
+      resultShape: apiData.resultShape || null,
+      keyBy: apiData.keyBy || null,
+      pagination: apiData.pagination || null,
+      stream: apiData.stream || null,
+      exportColumns: apiData.exportColumns || null,
+      queryTimeout: apiData.queryTimeout || null,
+      maxRows: apiData.maxRows || null,
       status: 1,
       task: JSON.stringify([{
         taskType: 1,
@@ -151,6 +161,7 @@ class ConfigManager {
     };
 
     config.api.push(newApi);
+    await this._validateBeforeSave(config, newId);
     await this._saveConfig(config);
 
     return newApi;
@@ -169,15 +180,21 @@ class ConfigManager {
       throw new Error('API不存在');
     }
 
-    // 如果要修改路径，检查新路径是否已被其他API占用
-    if (apiData.path !== undefined) {
-      const duplicateApi = config.api.find(api => api.path === apiData.path && api.id !== id);
-      if (duplicateApi) {
-        throw new Error(`路径 "${apiData.path}" 已被 API "${duplicateApi.name}" 占用，请使用其他路径`);
-      }
+    const existingApi = config.api[index];
+    const method = apiData.method !== undefined ? this._normalizeMethod(apiData.method) : existingApi.method;
+
+    // 如果要修改路径或方法，检查是否与其他API冲突
+    // 未填写方法时按 contentType 和参数来源自动判断，修改这两项也可能改变方法
+    if (['path', 'method', 'contentType', 'params'].some(field => apiData[field] !== undefined)) {
+      this._checkPathConflict(config, {
+        ...existingApi,
+        path: apiData.path !== undefined ? apiData.path : existingApi.path,
+        contentType: apiData.contentType !== undefined ? apiData.contentType : existingApi.contentType,
+        params: apiData.params !== undefined ? JSON.stringify(apiData.params) : existingApi.params,
+        method
+      }, id);
     }
 
-    const existingApi = config.api[index];
     const existingTask = existingApi.task ? JSON.parse(existingApi.task) : [{}];
 
     // 更新基本字段
@@ -187,9 +204,21 @@ class ConfigManager {
       note: apiData.note !== undefined ? apiData.note : existingApi.note,
       path: apiData.path !== undefined ? apiData.path : existingApi.path,
       contentType: apiData.contentType !== undefined ? apiData.contentType : existingApi.contentType,
+      method,
       groupId: apiData.groupId !== undefined ? apiData.groupId : existingApi.groupId,
       params: apiData.params !== undefined ? JSON.stringify(apiData.params) : existingApi.params,
+      paramRules: apiData.paramRules !== undefined
+        ? (apiData.paramRules && Object.keys(apiData.paramRules).length > 0 ? JSON.stringify(apiData.paramRules) : null)
+        : existingApi.paramRules,
       testParams: apiData.testParams !== undefined ? JSON.stringify(apiData.testParams) : existingApi.testParams,
+      resultMode: apiData.resultMode !== undefined ? (apiData.resultMode || null) : existingApi.resultMode,
+      resultShape: apiData.resultShape !== undefined ? (apiData.resultShape || null) : existingApi.resultShape,
+      keyBy: apiData.keyBy !== undefined ? (apiData.keyBy || null) : existingApi.keyBy,
+      pagination: apiData.pagination !== undefined ? (apiData.pagination || null) : existingApi.pagination,
+      stream: apiData.stream !== undefined ? (apiData.stream || null) : existingApi.stream,
+      exportColumns: apiData.exportColumns !== undefined ? (apiData.exportColumns || null) : existingApi.exportColumns,
+      queryTimeout: apiData.queryTimeout !== undefined ? (apiData.queryTimeout || null) : existingApi.queryTimeout,
+      maxRows: apiData.maxRows !== undefined ? (apiData.maxRows || null) : existingApi.maxRows,
       updateTime: new Date().toISOString().replace('T', ' ').substring(0, 19)
     };
 
@@ -207,12 +236,7 @@ class ConfigManager {
 
       // 更新 SQL 列表
       if (apiData.sqlList) {
-        task.sqlList = apiData.sqlList.map(sql => ({
-          transformPlugin: null,
-          transformPluginParam: null,
-          sqlText: sql.sqlText || sql,
-          id: sql.id || this._generateId()
-        }));
+        task.sqlList = apiData.sqlList.map(sql => this._buildSqlItem(sql));
       } else if (apiData.sqlText) {
         // 兼容单个 SQL 的情况：更新第一个 SQL
         if (task.sqlList && task.sqlList[0]) {
@@ -230,6 +254,7 @@ class ConfigManager {
       config.api[index].task = JSON.stringify([task]);
     }
 
+    await this._validateBeforeSave(config, id);
     await this._saveConfig(config);
 
     return config.api[index];
@@ -284,6 +309,7 @@ class ConfigManager {
     config.api[index].task = JSON.stringify(task);
     config.api[index].updateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
 
+    await this._validateBeforeSave(config, apiId);
     await this._saveConfig(config);
 
     return newSql;
@@ -315,6 +341,7 @@ class ConfigManager {
     config.api[index].task = JSON.stringify(task);
     config.api[index].updateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
 
+    await this._validateBeforeSave(config, apiId);
     await this._saveConfig(config);
 
     return task[0].sqlList[sqlIndex];
@@ -345,11 +372,134 @@ class ConfigManager {
     config.api[index].task = JSON.stringify(task);
     config.api[index].updateTime = new Date().toISOString().replace('T', ' ').substring(0, 19);
 
+    await this._validateBeforeSave(config, apiId);
     await this._saveConfig(config);
 
     return deletedSql;
   }
 
+  /**
+   * 获取SQL片段列表
+   * @param {string} groupId - 可选，只返回该分组的片段（传 'global' 只返回全局片段）
+   */
+  async getSqlFragments(groupId) {
+    const config = await this._readConfig();
+    const fragments = config.sqlFragments || [];
+
+    if (groupId === undefined) {
+      return fragments;
+    }
+    if (groupId === 'global') {
+      return fragments.filter(f => !f.groupId);
+    }
+    return fragments.filter(f => f.groupId === groupId);
+  }
+
+  /**
+   * 获取某个分组可用的SQL片段表（全局 + 分组）
+   * @param {string} groupId - 分组 ID
+   * @returns {Map} id => sqlText
+   */
+  async getFragmentResolver(groupId) {
+    const config = await this._readConfig();
+    return createFragmentResolver(config.sqlFragments, groupId);
+  }
+
+  /**
+   * 创建SQL片段
+   * @param {Object} fragmentData - 片段数据
+   * @param {string} fragmentData.id - 片段 ID（<include refid> 引用的名称）
+   * @param {string} fragmentData.groupId - 所属分组，为空表示全局片段
+   * @param {string} fragmentData.sqlText - 片段内容
+   * @param {string} fragmentData.note - 说明
+   */
+  async createSqlFragment(fragmentData) {
+    const config = await this._readConfig();
+    const fragments = config.sqlFragments || [];
+    const groupId = fragmentData.groupId || null;
+
+    if (!/^[A-Za-z_][\w.-]*$/.test(fragmentData.id || '')) {
+      throw new Error('SQL片段ID只能包含字母、数字、下划线、点和横线，且不能以数字开头');
+    }
+
+    const existing = fragments.find(f => f.id === fragmentData.id && (f.groupId || null) === groupId);
+    if (existing) {
+      throw new Error(`SQL片段 "${fragmentData.id}" 已存在${groupId ? `（分组 ${groupId}）` : '（全局）'}`);
+    }
+
+    const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const newFragment = {
+      id: fragmentData.id,
+      groupId,
+      sqlText: fragmentData.sqlText,
+      note: fragmentData.note || '',
+      createTime: now,
+      updateTime: now
+    };
+
+    const nextFragments = [...fragments, newFragment];
+    this._checkFragmentChange(config, nextFragments, `SQL片段 "${newFragment.id}" 校验失败，以下 API 将无法执行`);
+
+    config.sqlFragments = nextFragments;
+    await this._saveConfig(config);
+
+    return newFragment;
+  }
+
+  /**
+   * 更新SQL片段
+   * @param {string} id - 片段 ID
+   * @param {string} groupId - 所属分组，为空表示全局片段
+   * @param {Object} updates - 更新的数据（sqlText, note）
+   */
+  async updateSqlFragment(id, groupId, updates) {
+    const config = await this._readConfig();
+    const fragments = config.sqlFragments || [];
+    const index = fragments.findIndex(f => f.id === id && (f.groupId || null) === (groupId || null));
+
+    if (index === -1) {
+      throw new Error('SQL片段不存在');
+    }
+
+    const nextFragments = [...fragments];
+    nextFragments[index] = {
+      ...fragments[index],
+      sqlText: updates.sqlText !== undefined ? updates.sqlText : fragments[index].sqlText,
+      note: updates.note !== undefined ? updates.note : fragments[index].note,
+      updateTime: new Date().toISOString().replace('T', ' ').substring(0, 19)
+    };
+    this._checkFragmentChange(config, nextFragments, `SQL片段 "${id}" 校验失败，以下 API 将无法执行`);
+
+    config.sqlFragments = nextFragments;
+    await this._saveConfig(config);
+
+    return nextFragments[index];
+  }
+
+  /**
+   * 删除SQL片段
+   * @param {string} id - 片段 ID
+   * @param {string} groupId - 所属分组，为空表示全局片段
+   */
+  async deleteSqlFragment(id, groupId) {
+    const config = await this._readConfig();
+    const fragments = config.sqlFragments || [];
+    const index = fragments.findIndex(f => f.id === id && (f.groupId || null) === (groupId || null));
+
+    if (index === -1) {
+      throw new Error('SQL片段不存在');
+    }
+
+    const nextFragments = fragments.filter((fragment, i) => i !== index);
+    this._checkFragmentChange(config, nextFragments, `SQL片段 "${id}" 仍被以下 API 引用，不能删除`);
+
+    const deletedFragment = fragments[index];
+    config.sqlFragments = nextFragments;
+    await this._saveConfig(config);
+
+    return deletedFragment;
+  }
+
   /**
    * 获取分组列表（从 groups.json 读取）
    */
@@ -464,6 +614,129 @@ class ConfigManager {
     }
   }
 
+  /**
+   * 构建 sqlList 中的一项
+   * 可选的步骤配置（condition、foreach、item、index）和结果形状（resultShape、keyBy）只在填写时保存
+   * @param {Object|string} sql - {sqlText, id, resultKey, condition, foreach, item, index, resultShape, keyBy} 或 SQL 文本
+   */
+  _buildSqlItem(sql) {
+    const sqlItem = {
+      transformPlugin: null,
+      transformPluginParam: null,
+      sqlText: sql.sqlText || sql,
+      id: sql.id || this._generateId(),
+      resultKey: sql.resultKey || null
+    };
+
+    for (const field of ['condition', 'foreach', 'item', 'index', 'resultShape', 'keyBy']) {
+      if (sql[field]) {
+        sqlItem[field] = sql[field];
+      }
+    }
+
+    return sqlItem;
+  }
+
+  /**
+   * 校验当前配置文件
+   * @returns {Promise<Object>} 校验报告
+   */
+  async validateConfig() {
+    let config;
+    try {
+      config = await this._readConfig();
+    } catch (error) {
+      return {
+        valid: false,
+        summary: { apiCount: 0, errorCount: 1, warningCount: 0 },
+        errors: [error.message],
+        apis: []
+      };
+    }
+    return validateConfigWithDatasources(config);
+  }
+
+  /**
+   * 保存前校验指定的 API，有错误时拒绝保存（警告只输出日志）
+   */
+  async _validateBeforeSave(config, apiId) {
+    const report = await validateConfigWithDatasources(config);
+    const result = report.apis.find(api => api.id === apiId);
+
+    if (!result) {
+      return;
+    }
+
+    if (result.warnings.length > 0) {
+      console.warn(`⚠️  API "${result.name}" 配置警告: ${result.warnings.join('; ')}`);
+    }
+
+    if (result.errors.length > 0) {
+      const error = new Error(`API配置校验失败: ${result.errors.join('; ')}`);
+      error.statusCode = 400;
+      error.details = result.errors;
+      throw error;
+    }
+  }
+
+  /**
+   * 检查SQL片段的修改是否导致 API 无法执行（<include> 引用的片段不存在、循环引用、片段中的标签错误等）
+   * 对比修改前后的校验结果，只有修改后新出现的错误才拒绝保存（已有的错误不影响片段的维护）
+   * @param {Object} config - 修改前的配置
+   * @param {Array} nextFragments - 修改后的片段列表
+   * @param {string} message - 错误信息前缀
+   */
+  _checkFragmentChange(config, nextFragments, message) {
+    const before = validateConfig(config);
+    const after = validateConfig({ ...config, sqlFragments: nextFragments });
+    const previousErrors = new Map(before.apis.map(api => [api.id, new Set(api.errors)]));
+
+    const broken = after.apis
+      .map(api => ({
+        name: api.name,
+        errors: api.errors.filter(e => !(previousErrors.get(api.id) || new Set()).has(e))
+      }))
+      .filter(api => api.errors.length > 0);
+
+    if (broken.length > 0) {
+      const details = broken.map(api => `API "${api.name}": ${api.errors.join('; ')}`);
+      const error = new Error(`${message}: ${details.join('；')}`);
+      error.statusCode = 400;
+      error.details = details;
+      throw error;
+    }
+  }
+
+  /**
+   * 规范化 method 字段，不支持的方法直接报错
+   * @returns {string|null} 例如 "GET,POST"，未填写时返回 null（自动判断）
+   */
+  _normalizeMethod(method) {
+    const unsupported = findUnsupportedMethods(method);
+    if (unsupported.length > 0) {
+      throw new Error(`不支持的 HTTP 方法: ${unsupported.join(', ')}（可选: ${SUPPORTED_METHODS.join(', ')}）`);
+    }
+    const methods = parseMethodList(method);
+    return methods.length > 0 ? methods.join(',') : null;
+  }
+
+  /**
+   * 检查路径和方法是否与其他 API 冲突
+   * 同一路径（只有参数名不同的路径模板视为同一路径）只有在方法不重叠时才允许对应多个 API
+   */
+  _checkPathConflict(config, apiData, excludeId) {
+    const methods = resolveApiMethods(apiData);
+    const duplicateApi = config.api.find(api =>
+      api.id !== excludeId &&
+      getRouteShape(api.path) === getRouteShape(apiData.path) &&
+      resolveApiMethods(api).some(m => methods.includes(m))
+    );
+
+    if (duplicateApi) {
+      throw new Error(`路径 "${apiData.path}" 的 ${methods.join('/')} 方法已被 API "${duplicateApi.name}"（${duplicateApi.path}）占用，请使用其他路径或方法`);
+    }
+  }
+
   /**
    * 读取完整配置
    */
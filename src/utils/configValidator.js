@@ -0,0 +1,495 @@
+/**
+ * API 配置校验
+ * 在加载配置、保存 API 时检查配置问题，避免错误在请求时才暴露
+ *
+ * 错误（errors）：API 无法正常执行
+ * - task / params / paramRules 不是合法的 JSON
+ * - 数据源不存在
+ * - 同一路径和方法对应多个启用的 API
+ * - SQL 使用了 sql 字段（执行器读取的是 sqlText）、SQL 为空
+ * - SQL 模板标签不匹配、引用的片段不存在或循环引用
+ * - 不支持的 HTTP 方法
+ * - 不支持的结果模式，或 named 模式下 resultKey 缺失、重复
+ * - 不支持的结果形状
+ * - SQL 步骤的 condition / foreach 表达式语法错误
+ * - DAG 配置无效（节点缺少必填项、依赖不存在、循环依赖）
+ * - 分页配置无效，或分页与 DAG、循环步骤同时使用，或 offset 分页的 SQL 包含 LIMIT
+ *
+ * 警告（warnings）：可以执行，但可能不符合预期
+ * - task 为空
+ * - SQL 中引用了未声明的参数
+ * - paramRules 中配置了未声明的参数
+ * - 分页、流式输出的 SQL 有同名列（包装为子查询后执行失败）
+ */
+
+import { compileIdentifierPattern, createFragmentResolver, inspectSqlTemplate, normalizeParamDefinitions } from '../database/queryParser.js';
+import { compileRulePattern, normalizeParamRules } from '../database/paramRules.js';
+import { RESULT_MODES, RESULT_SHAPES } from '../database/executor.js';
+import { parseExpression } from '../database/expressionEvaluator.js';
+import { parseDagConfig } from '../database/dagConfig.js';
+import { normalizePagination } from '../database/pagination.js';
+import { normalizeStreamConfig } from '../database/streaming.js';
+import { normalizeExportColumns } from './exportFormats.js';
+import { normalizeQueryLimits } from '../database/queryLimits.js';
+import { hasTopLevelLimit, inspectSelectColumns } from '../database/sqlColumns.js';
+import { getRouteShape, getPathParamNames } from './pathTemplate.js';
+import { findUnsupportedMethods, resolveApiMethods } from './apiMethods.js';
+import datasourceManager from './datasourceManager.js';
+
+// 引用前面步骤的结果，例如 #{step1.insertId}
+const STEP_REFERENCE = /^step\d+$/;
+
+/**
+ * 校验整个配置
+ * @param {Object} config - API 配置（api_config (1).json 的内容）
+ * @param {Object} options
+ * @param {Array<string>} options.datasourceIds - 已配置的数据源ID；不传时不检查数据源
+ * @returns {{valid: boolean, summary: Object, errors: Array<string>, apis: Array<Object>}}
+ *   apis 只包含有错误或警告的 API
+ */
+export function validateConfig(config, options = {}) {
+  const report = {
+    valid: true,
+    summary: { apiCount: 0, errorCount: 0, warningCount: 0 },
+    errors: [],
+    apis: []
+  };
+
+  if (!config || !Array.isArray(config.api)) {
+    report.valid = false;
+    report.errors.push('配置文件缺少 api 数组');
+    report.summary.errorCount = 1;
+    return report;
+  }
+
+  if (config.sqlFragments !== undefined && !Array.isArray(config.sqlFragments)) {
+    report.errors.push('sqlFragments 必须是数组');
+  }
+
+  const context = {
+    datasourceIds: options.datasourceIds ? new Set(options.datasourceIds) : null,
+    fragmentsByGroup: new Map(),
+    sqlFragments: Array.isArray(config.sqlFragments) ? config.sqlFragments : []
+  };
+
+  const results = config.api.map(api => validateApi(api, context));
+  checkDuplicateRoutes(config.api, results);
+
+  report.summary.apiCount = config.api.length;
+  report.apis = results.filter(result => result.errors.length > 0 || result.warnings.length > 0);
+  report.summary.errorCount = report.errors.length + results.reduce((sum, r) => sum + r.errors.length, 0);
+  report.summary.warningCount = results.reduce((sum, r) => sum + r.warnings.length, 0);
+  report.valid = report.summary.errorCount === 0;
+
+  return report;
+}
+
+/**
+ * 按当前已配置的数据源校验整个配置
+ * @param {Object} config - API 配置
+ * @returns {Promise<Object>} 校验报告
+ */
+export async function validateConfigWithDatasources(config) {
+  const datasources = await datasourceManager.getDatasourcesList();
+  return validateConfig(config, { datasourceIds: datasources.map(ds => ds.id) });
+}
+
+/**
+ * 校验单个 API（不包含跨 API 的路径重复检查）
+ */
+function validateApi(api, context) {
+  const result = {
+    id: api && api.id,
+    name: api && api.name,
+    path: api && api.path,
+    errors: [],
+    warnings: []
+  };
+
+  if (!api || typeof api !== 'object') {
+    result.errors.push('API 配置必须是对象');
+    return result;
+  }
+
+  if (typeof api.path !== 'string' || api.path.trim() === '') {
+    result.errors.push('缺少 path');
+  }
+
+  const unsupported = findUnsupportedMethods(api.method);
+  if (unsupported.length > 0) {
+    result.errors.push(`不支持的 HTTP 方法: ${unsupported.join(', ')}`);
+  }
+
+  // 参数定义
+  let declared = null;
+  try {
+    const params = normalizeParamDefinitions(api.params);
+    if (!Array.isArray(params)) {
+      throw new Error('必须是数组');
+    }
+    const unnamed = params.filter(p => !p || typeof p.name !== 'string' || p.name === '');
+    if (unnamed.length > 0) {
+      throw new Error('存在缺少 name 的参数');
+    }
+    declared = new Set(params.map(p => p.name));
+    checkIdentifierPatterns(params, result);
+  } catch (error) {
+    result.errors.push(`params 无法解析: ${error.message}`);
+  }
+
+  // 参数校验规则
+  try {
+    const rules = normalizeParamRules(api.paramRules);
+    checkRulePatterns(rules, result);
+    if (declared) {
+      const unknown = Object.keys(rules).filter(name => !declared.has(name));
+      if (unknown.length > 0) {
+        result.warnings.push(`paramRules 中的参数未声明: ${unknown.join(', ')}`);
+      }
+    }
+  } catch (error) {
+    result.errors.push(`paramRules 无法解析: ${error.message}`);
+  }
+
+  // DAG 编排（配置了 DAG 时执行 DAG 节点，不使用 task）
+  let dag;
+  try {
+    dag = parseDagConfig(api);
+  } catch (error) {
+    result.errors.push(`DAG 配置无效: ${error.message}`);
+    return result;
+  }
+
+  // 任务和 SQL
+  let tasks;
+  if (dag) {
+    tasks = dag.nodes;
+    tasks.forEach(node => checkResultMode(node, [node], result));
+  } else {
+    try {
+      tasks = typeof api.task === 'string' ? JSON.parse(api.task) : api.task;
+      if (!Array.isArray(tasks)) {
+        throw new Error('必须是数组');
+      }
+    } catch (error) {
+      result.errors.push(`task 无法解析: ${error.message}`);
+      return result;
+    }
+
+    if (tasks.length === 0) {
+      result.warnings.push('task 为空，请求时不会执行任何 SQL');
+      return result;
+    }
+
+    checkResultMode(api, tasks, result);
+  }
+
+  checkResultShape(api, '', result);
+  checkPagination(api, dag, tasks, result);
+  checkStream(api, dag, tasks, result);
+
+  try {
+    normalizeExportColumns(api.exportColumns);
+  } catch (error) {
+    result.errors.push(`导出列配置无效: ${error.message}`);
+  }
+
+  try {
+    normalizeQueryLimits(api);
+  } catch (error) {
+    result.errors.push(`查询限制配置无效: ${error.message}`);
+  }
+
+  // 路径参数、前面步骤的结果（stepN、resultKey）、上游 DAG 节点的结果视为已声明
+  const resultKeys = collectResultKeys(tasks);
+  const nodeIds = dag ? dag.nodes.map(node => node.id) : [];
+  const known = declared
+    ? new Set([...declared, ...getPathParamNames(api.path || ''), ...resultKeys, ...nodeIds])
+    : null;
+  const fragments = getFragments(context, api.groupId);
+
+  tasks.forEach((task, taskIndex) => {
+    const taskLabel = dag ? `节点 ${task.id} ` : (tasks.length > 1 ? `任务 ${taskIndex + 1} ` : '');
+
+    if (dag) {
+      checkResultShape(task, taskLabel, result);
+    }
+
+    try {
+      normalizeQueryLimits(task || {});
+    } catch (error) {
+      result.errors.push(`${taskLabel}查询限制配置无效: ${error.message}`);
+    }
+
+    if (!task || !task.datasourceId) {
+      result.errors.push(`${taskLabel}缺少 datasourceId`);
+    } else if (context.datasourceIds && !context.datasourceIds.has(task.datasourceId)) {
+      result.errors.push(`${taskLabel}数据源 ${task.datasourceId} 不存在`);
+    }
+
+    const sqlList = task && task.sqlList;
+    if (!Array.isArray(sqlList) || sqlList.length === 0) {
+      result.errors.push(`${taskLabel}缺少 sqlList`);
+      return;
+    }
+
+    sqlList.forEach((sql, sqlIndex) => {
+      const label = `${taskLabel}SQL ${sqlIndex + 1}`;
+
+      if (sql && sql.sqlText === undefined && typeof sql.sql === 'string') {
+        result.errors.push(`${label} 使用了 sql 字段，执行器读取的是 sqlText`);
+        return;
+      }
+      if (!sql || typeof sql.sqlText !== 'string' || sql.sqlText.trim() === '') {
+        result.errors.push(`${label} 的 sqlText 为空`);
+        return;
+      }
+
+      checkResultShape(sql, `${label} `, result);
+
+      for (const field of ['condition', 'foreach']) {
+        if (sql[field] === undefined || sql[field] === null) {
+          continue;
+        }
+        try {
+          parseExpression(String(sql[field]));
+        } catch (error) {
+          result.errors.push(`${label} 的 ${field} 表达式无效: ${error.message}`);
+        }
+      }
+
+      // 循环步骤的 item / index 在 SQL 中可用
+      const loopVars = sql.foreach ? [sql.item || 'item', sql.index].filter(Boolean) : [];
+
+      try {
+        const references = inspectSqlTemplate(sql.sqlText, fragments);
+        const undeclared = known
+          ? references.filter(name => !known.has(name) && !STEP_REFERENCE.test(name) && !loopVars.includes(name))
+          : [];
+        if (undeclared.length > 0) {
+          result.warnings.push(`${label} 引用了未声明的参数: ${undeclared.join(', ')}`);
+        }
+      } catch (error) {
+        result.errors.push(`${label}: ${error.message}`);
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 检查分页配置（分页对最后一个 SQL 生效）
+ */
+function checkPagination(api, dag, tasks, result) {
+  let pagination;
+  try {
+    pagination = normalizePagination(api.pagination);
+  } catch (error) {
+    result.errors.push(`分页配置无效: ${error.message}`);
+    return;
+  }
+
+  if (!pagination) {
+    return;
+  }
+
+  if (dag) {
+    result.errors.push('分页不能与 DAG 同时使用');
+    return;
+  }
+
+  const sqlList = (tasks[tasks.length - 1] || {}).sqlList || [];
+  const last = sqlList[sqlList.length - 1];
+  if (last && last.foreach) {
+    result.errors.push('分页的 SQL（最后一个 SQL）不能是循环步骤');
+  }
+
+  // offset 分页在 SQL 末尾追加 LIMIT / OFFSET，SQL 中已有 LIMIT 时每次请求都会语法错误
+  if (pagination.mode === 'offset' && last && typeof last.sqlText === 'string' && hasTopLevelLimit(last.sqlText)) {
+    result.errors.push('offset 分页的 SQL 不能包含 LIMIT（按 pageNum / pageSize 自动添加）');
+  }
+
+  // cursor 分页由执行器按 sortKeys 排序，原 SQL 中的 ORDER BY / LIMIT 会使排序或翻页结果不正确
+  if (pagination.mode === 'cursor' && last && typeof last.sqlText === 'string' &&
+      /\b(ORDER\s+BY|LIMIT)\b/i.test(last.sqlText)) {
+    result.warnings.push('cursor 分页的 SQL 不应包含 ORDER BY / LIMIT（按 sortKeys 自动排序）');
+  }
+
+  checkSubqueryColumns(last, '分页', result);
+}
+
+/**
+ * 检查流式输出配置（流式输出对最后一个 SQL 生效）
+ */
+function checkStream(api, dag, tasks, result) {
+  let stream;
+  try {
+    stream = normalizeStreamConfig(api.stream);
+  } catch (error) {
+    result.errors.push(`流式输出配置无效: ${error.message}`);
+    return;
+  }
+
+  if (!stream) {
+    return;
+  }
+
+  if (dag) {
+    result.errors.push('流式输出不能与 DAG 同时使用');
+    return;
+  }
+  if (api.pagination) {
+    result.errors.push('流式输出不能与分页同时使用');
+  }
+
+  const lastTask = tasks[tasks.length - 1] || {};
+  if (lastTask.transaction === 1) {
+    result.errors.push('流式输出不能与事务同时使用');
+  }
+
+  const sqlList = lastTask.sqlList || [];
+  const last = sqlList[sqlList.length - 1];
+  if (last && last.foreach) {
+    result.errors.push('流式输出的 SQL（最后一个 SQL）不能是循环步骤');
+  }
+
+  checkSubqueryColumns(last, '流式输出', result);
+}
+
+/**
+ * 分页、流式输出把 SQL 包装为子查询执行，子查询结果不允许有同名列（JOIN 查询中的 a.id, b.id）
+ */
+function checkSubqueryColumns(sqlItem, label, result) {
+  if (!sqlItem || typeof sqlItem.sqlText !== 'string') {
+    return;
+  }
+
+  const { duplicates, ambiguousStar } = inspectSelectColumns(sqlItem.sqlText);
+  if (duplicates.length > 0) {
+    result.warnings.push(`${label}的 SQL 有同名列: ${duplicates.join(', ')}，执行时会报错 Duplicate column name，请为同名列设置别名`);
+  }
+  if (ambiguousStar) {
+    result.warnings.push(`${label}的 SQL 连接多个表时使用了 *，表中有同名列时执行会报错，请列出需要的列并为同名列设置别名`);
+  }
+}
+
+/**
+ * ${} 参数的 identifierPattern 必须是合法的正则（否则请求时才报错）
+ */
+function checkIdentifierPatterns(params, result) {
+  for (const paramDef of params) {
+    if (typeof paramDef.identifierPattern !== 'string') {
+      continue;
+    }
+    try {
+      compileIdentifierPattern(paramDef.identifierPattern);
+    } catch (error) {
+      result.errors.push(`参数 ${paramDef.name} 的 identifierPattern 不是合法的正则: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * paramRules 中的 pattern 必须是合法的正则（否则请求时才报错）
+ */
+function checkRulePatterns(rules, result) {
+  for (const [name, rule] of Object.entries(rules)) {
+    if (!rule || !rule.pattern) {
+      continue;
+    }
+    try {
+      compileRulePattern(rule.pattern);
+    } catch (error) {
+      result.errors.push(`paramRules 中参数 ${name} 的 pattern 不是合法的正则: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 检查结果形状（API、DAG 节点或 SQL 的 resultShape）
+ */
+function checkResultShape(config, label, result) {
+  if (config && config.resultShape && !RESULT_SHAPES.includes(config.resultShape)) {
+    result.errors.push(`${label}不支持的结果形状: ${config.resultShape}（可选: ${RESULT_SHAPES.join(', ')}）`);
+  }
+}
+
+/**
+ * 检查结果模式（resultMode）和 SQL 的 resultKey
+ */
+function checkResultMode(api, tasks, result) {
+  if (api.resultMode && !RESULT_MODES.includes(api.resultMode)) {
+    result.errors.push(`不支持的结果模式: ${api.resultMode}（可选: ${RESULT_MODES.join(', ')}）`);
+    return;
+  }
+
+  if (api.resultMode !== 'named') {
+    return;
+  }
+
+  const keys = collectResultKeys(tasks);
+
+  if (keys.length === 0) {
+    result.errors.push('结果模式为 named，但没有 SQL 配置 resultKey');
+  }
+
+  const duplicates = keys.filter((key, i) => keys.indexOf(key) !== i);
+  if (duplicates.length > 0) {
+    result.errors.push(`resultKey 重复: ${[...new Set(duplicates)].join(', ')}`);
+  }
+}
+
+function collectResultKeys(tasks) {
+  return tasks
+    .flatMap(task => (task && Array.isArray(task.sqlList) ? task.sqlList : []))
+    .map(sql => sql && sql.resultKey)
+    .filter(Boolean);
+}
+
+/**
+ * 检查启用的 API 中是否有相同路径和方法
+ */
+function checkDuplicateRoutes(apis, results) {
+  const routes = new Map();
+
+  apis.forEach((api, i) => {
+    if (!api || api.status !== 1 || typeof api.path !== 'string') {
+      return;
+    }
+
+    // 只有参数名不同的路径模板匹配相同的请求，同样视为重复
+    const shape = getRouteShape(api.path);
+    for (const method of resolveApiMethods(api)) {
+      const key = `${method} ${shape}`;
+      if (routes.has(key)) {
+        const first = apis[routes.get(key)];
+        results[i].errors.push(`路径 ${api.path} 的 ${method} 方法与 API "${first.name}"（${first.path}）重复，请求只会匹配到先配置的 API`);
+      } else {
+        routes.set(key, i);
+      }
+    }
+  });
+}
+
+function getFragments(context, groupId) {
+  if (!context.fragmentsByGroup.has(groupId)) {
+    context.fragmentsByGroup.set(groupId, createFragmentResolver(context.sqlFragments, groupId));
+  }
+  return context.fragmentsByGroup.get(groupId);
+}
+
+/**
+ * 将校验报告格式化为日志文本
+ */
+export function formatReport(report) {
+  const lines = report.errors.map(error => `  ✗ ${error}`);
+
+  for (const api of report.apis) {
+    lines.push(`  [${api.path || api.id}] ${api.name || ''}`);
+    api.errors.forEach(error => lines.push(`    ✗ ${error}`));
+    api.warnings.forEach(warning => lines.push(`    ⚠ ${warning}`));
+  }
+
+  return lines.join('\n');
+}
@@ -98,6 +98,8 @@ class DatasourceManager {
    * @param {string} dsData.database - 数据库名
    * @param {number} dsData.poolMin - 最小连接数
    * @param {number} dsData.poolMax - 最大连接数
+   * @param {number} dsData.queryTimeout - 默认的查询超时（毫秒），API 未配置时使用
+   * @param {number} dsData.maxRows - 默认的查询最大行数，API 未配置时使用
    * @returns {Object} 新创建的数据源
    */
   async createDatasource(dsData) {
@@ -116,6 +118,8 @@ class DatasourceManager {
       database: dsData.database,
       poolMin: dsData.poolMin || 2,
       poolMax: dsData.poolMax || 10,
+      queryTimeout: dsData.queryTimeout || null,
+      maxRows: dsData.maxRows || null,
       envPrefix: null, // 新增的数据源不使用环境变量
       createTime: new Date().toISOString().replace('T', ' ').substring(0, 19),
       updateTime: new Date().toISOString().replace('T', ' ').substring(0, 19)
@@ -156,6 +160,8 @@ class DatasourceManager {
       database: dsData.database !== undefined ? dsData.database : existingDs.database,
       poolMin: dsData.poolMin !== undefined ? dsData.poolMin : existingDs.poolMin,
       poolMax: dsData.poolMax !== undefined ? dsData.poolMax : existingDs.poolMax,
+      queryTimeout: dsData.queryTimeout !== undefined ? (dsData.queryTimeout || null) : existingDs.queryTimeout,
+      maxRows: dsData.maxRows !== undefined ? (dsData.maxRows || null) : existingDs.maxRows,
       updateTime: new Date().toISOString().replace('T', ' ').substring(0, 19)
     };
 
@@ -0,0 +1,194 @@
+/**
+ * 导出格式（CSV / Excel）
+ * 任意 API 都可以通过请求参数 format=csv|xlsx 或请求头 Accept 导出为文件下载
+ *
+ * 列顺序默认与查询结果的列顺序相同，API 可以通过 exportColumns 指定导出的列、顺序和表头:
+ *   "exportColumns": ["id:订单号", "customer_name:客户", "amount:金额"]
+ *   "exportColumns": [{"field": "id", "title": "订单号"}, {"field": "amount"}]
+ */
+
+import { createXlsx } from './xlsxWriter.js';
+import { createParameterError } from '../database/queryParser.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel 需要 BOM 才能按 UTF-8 识别 CSV 中的中文
+export const CSV_BOM = '\uFEFF';
+
+// 以这些字符开头的文本在 Excel 中会被当作公式执行（CSV 注入），导出时加上单引号前缀
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * 确定请求的导出格式
+ * 请求参数 format 优先（API 自己声明了 format 参数时不作为导出格式），其次是请求头 Accept
+ * @param {Object} request - Fastify 请求
+ * @param {Array} paramDefinitions - API 的参数定义
+ * @returns {string|null} csv / xlsx，不导出时返回 null
+ * @throws 请求参数 format 不支持时抛出参数错误（400）
+ */
+export function resolveExportFormat(request, paramDefinitions = []) {
+  const declared = paramDefinitions.some(paramDef => paramDef.name === 'format');
+  const format = !declared && request.query ? request.query.format : undefined;
+
+  if (format !== undefined && format !== '') {
+    const normalized = String(format).toLowerCase();
+    if (normalized === 'json') {
+      return null;
+    }
+    if (!EXPORT_FORMATS.includes(normalized)) {
+      throw createParameterError(`不支持的导出格式: ${format}（可选: json, ${EXPORT_FORMATS.join(', ')}）`);
+    }
+    return normalized;
+  }
+
+  const accept = request.headers.accept || '';
+  for (const candidate of EXPORT_FORMATS) {
+    if (accept.includes(EXPORT_CONTENT_TYPES[candidate].split(';')[0])) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 解析 exportColumns 配置
+ * @param {string|Array} exportColumns - 配置中的 exportColumns（可以是 JSON 字符串）
+ * @returns {Array<{field: string, title: string}>|null} 未配置时返回 null（使用查询结果的列）
+ */
+export function normalizeExportColumns(exportColumns) {
+  if (exportColumns === undefined || exportColumns === null || exportColumns === '') {
+    return null;
+  }
+
+  const columns = typeof exportColumns === 'string' ? JSON.parse(exportColumns) : exportColumns;
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('exportColumns 必须是非空数组');
+  }
+
+  return columns.map(column => {
+    if (typeof column === 'string') {
+      const separator = column.indexOf(':');
+      const field = (separator === -1 ? column : column.slice(0, separator)).trim();
+      const title = separator === -1 ? field : column.slice(separator + 1).trim();
+      if (!field) {
+        throw new Error(`exportColumns 中的列无效: ${column}`);
+      }
+      return { field, title: title || field };
+    }
+
+    if (!column || typeof column.field !== 'string' || !column.field) {
+      throw new Error(`exportColumns 中的列缺少 field: ${JSON.stringify(column)}`);
+    }
+    return { field: column.field, title: column.title || column.field };
+  });
+}
+
+/**
+ * 把 API 的结果生成导出文件
+ * @param {any} data - API 返回的 data（数组、分页结果 {list, ...}、单个对象或标量）
+ * @param {string} format - csv / xlsx
+ * @param {Object} options
+ * @param {Array|null} options.columns - normalizeExportColumns 的结果
+ * @param {string} options.sheetName - 工作表名称（xlsx）
+ * @returns {string|Buffer} 文件内容
+ */
+export function createExportFile(data, format, { columns = null, sheetName } = {}) {
+  const rows = toRows(data);
+  const exportColumns = columns || collectColumns(rows);
+  const header = exportColumns.map(column => column.title);
+
+  if (format === 'xlsx') {
+    const values = rows.map(row => exportColumns.map(column => toXlsxValue(row[column.field])));
+    return createXlsx([header, ...values], { sheetName });
+  }
+
+  const lines = [header, ...rows.map(row => exportColumns.map(column => row[column.field]))];
+  return CSV_BOM + lines.map(csvLine).join('');
+}
+
+/**
+ * CSV 的一行（包含换行符 CRLF）
+ * @param {Array} values - 单元格的值
+ */
+export function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+/**
+ * 下载文件名对应的 Content-Disposition
+ * 文件名使用 API 名称（RFC 5987 编码，支持中文），不支持 filename* 的客户端使用由 API 路径生成的 ASCII 文件名
+ * @param {Object} api - API 配置
+ * @param {string} format - 文件扩展名
+ */
+export function contentDisposition(api, format) {
+  const name = (api.name || '').replace(/[\\/:*?"<>|\r\n]/g, '_').trim() || 'export';
+  const fallback = (api.path || '').replace(/^\/+/, '').replace(/[^A-Za-z0-9._-]+/g, '_') || 'export';
+
+  return `attachment; filename="${fallback}.${format}"; filename*=UTF-8''${encodeURIComponent(`${name}.${format}`)}`;
+}
+
+/**
+ * API 结果转换为行
+ */
+function toRows(data) {
+  if (Array.isArray(data)) {
+    return data.map(row => (row !== null && typeof row === 'object' ? row : { value: row }));
+  }
+  if (data && typeof data === 'object') {
+    // 分页结果
+    if (Array.isArray(data.list)) {
+      return toRows(data.list);
+    }
+    return [data];
+  }
+  if (data === null || data === undefined) {
+    return [];
+  }
+  return [{ value: data }];
+}
+
+/**
+ * 按各列在结果中首次出现的顺序收集列
+ */
+function collectColumns(rows) {
+  const fields = new Set();
+  for (const row of rows) {
+    Object.keys(row).forEach(field => fields.add(field));
+  }
+  return [...fields].map(field => ({ field, title: field }));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  // 数字（包括 DECIMAL 返回的数字字符串，如 -12.5）不加前缀
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && !isNumericText(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toXlsxValue(value) {
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  return value;
+}
+
+function isNumericText(text) {
+  return text.trim() !== '' && !isNaN(Number(text));
+}
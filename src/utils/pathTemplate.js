@@ -0,0 +1,69 @@
+/**
+ * API 路径模板
+ * 支持 REST 风格的路径参数，例如 api/orders/:orderId/items
+ * :name 段匹配任意一个非空路径段，匹配到的值作为路径参数
+ */
+
+const PARAM_SEGMENT_REGEX = /^:([A-Za-z_][\w]*)$/;
+
+// 解析结果缓存（key 为配置中的 path）
+const templateCache = new Map();
+const TEMPLATE_CACHE_LIMIT = 2000;
+
+/**
+ * 去掉路径首尾的斜杠
+ * @param {string} apiPath
+ * @returns {string}
+ */
+export function normalizeApiPath(apiPath) {
+  return String(apiPath || '').replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+/**
+ * 解析路径模板
+ * @param {string} apiPath - 配置中的路径，例如 /api/orders/:orderId/items
+ * @returns {{segments: Array<{param: string|null, value: string}>, paramNames: Array<string>, isTemplate: boolean, staticCount: number}}
+ */
+export function parsePathTemplate(apiPath) {
+  let template = templateCache.get(apiPath);
+
+  if (!template) {
+    const segments = normalizeApiPath(apiPath).split('/').map(value => {
+      const match = PARAM_SEGMENT_REGEX.exec(value);
+      return { param: match ? match[1] : null, value };
+    });
+    const paramNames = segments.filter(s => s.param).map(s => s.param);
+
+    template = {
+      segments,
+      paramNames,
+      isTemplate: paramNames.length > 0,
+      staticCount: segments.length - paramNames.length
+    };
+
+    if (templateCache.size >= TEMPLATE_CACHE_LIMIT) {
+      templateCache.clear();
+    }
+    templateCache.set(apiPath, template);
+  }
+
+  return template;
+}
+
+/**
+ * 路由匹配时的路径形状：参数段统一为 ":"，只有参数名不同的路径（/a/:id 和 /a/:orderId）匹配相同的请求
+ * @param {string} apiPath
+ * @returns {string}
+ */
+export function getRouteShape(apiPath) {
+  return parsePathTemplate(apiPath).segments.map(s => (s.param ? ':' : s.value)).join('/');
+}
+
+/**
+ * 获取路径中声明的参数名
+ * @param {string} apiPath
+ * @returns {Array<string>}
+ */
+export function getPathParamNames(apiPath) {
+  return parsePathTemplate(apiPath).paramNames;
+}
@@ -3,6 +3,9 @@
  * 根据API配置自动生成Python调用示例代码
  */
 
+import { getPathParamNames } from './pathTemplate.js';
+import { resolveApiMethods } from './apiMethods.js';
+
 class PythonCodeGenerator {
   /**
    * 生成完整的Python示例代码
@@ -15,14 +18,12 @@ class PythonCodeGenerator {
       name,
       path: apiPath,
       contentType,
-      params: apiParams,
       testParams
     } = api;
 
-    // 解析参数
-    const params = this._parseParams(apiParams);
-    const exampleParams = this._parseTestParams(testParams);
-    const method = this._determineMethod(params, contentType);
+    // 解析参数（路径参数补充到示例参数中，作为函数参数传入）
+    const exampleParams = this._withPathParams(apiPath, this._parseTestParams(testParams));
+    const method = this._determineMethod(api);
 
     return {
       basic: this._generateBasicExample(name, apiPath, method, exampleParams, contentType, baseUrl),
@@ -36,39 +37,38 @@ class PythonCodeGenerator {
    */
   _generateBasicExample(name, apiPath, method, exampleParams, contentType, baseUrl) {
     const functionName = this._pathToFunctionName(apiPath);
-    // 确保apiPath以斜杠开头
-    const normalizedPath = apiPath.startsWith('/') ? apiPath : `/${apiPath}`;
-    const url = `${baseUrl}${normalizedPath}`;
+    const url = this._buildUrl(apiPath, baseUrl);
+    const paramsStr = JSON.stringify(this._omitPathParams(apiPath, exampleParams), null, 4);
 
-    if (method === 'GET') {
+    if (this._usesQueryString(method)) {
       return `import requests
 
-def ${functionName}():
+def ${functionName}(${this._generateParamSignature(exampleParams)}):
     """${name}"""
-    url = "${url}"
+    url = ${url}
+
+    params = ${paramsStr}
 
-    response = requests.get(url)
+    response = requests.${method.toLowerCase()}(url, params=params)
     result = response.json()
 
     return result
 
 # 使用示例
 if __name__ == "__main__":
-    result = ${functionName}()
+    result = ${functionName}(${this._generateParamCall(exampleParams)})
     print(result)`;
     } else {
       // POST - 统一使用 JSON 格式（更通用，避免 415 错误）
-      const paramsStr = JSON.stringify(exampleParams, null, 4);
-
       return `import requests
 
 def ${functionName}(${this._generateParamSignature(exampleParams)}):
     """${name}"""
-    url = "${url}"
+    url = ${url}
 
     payload = ${paramsStr}
 
-    response = requests.post(url, json=payload)
+    response = requests.${method.toLowerCase()}(url, json=payload)
     result = response.json()
 
     return result
@@ -85,12 +85,10 @@ if __name__ == "__main__":
    */
   _generateFullExample(name, apiPath, method, exampleParams, contentType, baseUrl) {
     const functionName = this._pathToFunctionName(apiPath);
-    // 确保apiPath以斜杠开头
-    const normalizedPath = apiPath.startsWith('/') ? apiPath : `/${apiPath}`;
-    const url = `${baseUrl}${normalizedPath}`;
-    const paramsStr = JSON.stringify(exampleParams, null, 4);
+    const url = this._buildUrl(apiPath, baseUrl);
+    const paramsStr = JSON.stringify(this._omitPathParams(apiPath, exampleParams), null, 4);
 
-    if (method === 'GET') {
+    if (this._usesQueryString(method)) {
       return `import os
 import requests
 from requests.adapters import HTTPAdapter
@@ -104,14 +102,20 @@ os.environ['HTTPS_PROXY'] = ''
 os.environ['http_proxy'] = ''
 os.environ['https_proxy'] = ''
 
-def ${functionName}():
+def ${functionName}(${this._generateParamSignature(exampleParams)}):
     """
     ${name}
 
+    Args:
+${this._generateParamDocs(exampleParams)}
+
     Returns:
         dict: API返回的数据
     """
-    url = "${url}"
+    url = ${url}
+
+    # 查询参数
+    params = ${paramsStr}
 
     # 配置重试策略
     retry_strategy = Retry(
@@ -133,7 +137,7 @@ def ${functionName}():
     session.mount("https://", adapter)
 
     try:
-        response = session.get(url, timeout=30)
+        response = session.${method.toLowerCase()}(url, params=params, timeout=30)
         response.raise_for_status()
 
         result = response.json()
@@ -169,7 +173,7 @@ def ${functionName}():
 
 # 使用示例
 if __name__ == "__main__":
-    result = ${functionName}()
+    result = ${functionName}(${this._generateParamCall(exampleParams)})
 
     if result:
         print("✅ 获取成功！")
@@ -202,7 +206,7 @@ ${this._generateParamDocs(exampleParams)}
     Returns:
         dict: API返回的数据
     """
-    url = "${url}"
+    url = ${url}
 
     # 请求参数
     payload = ${paramsStr}
@@ -227,7 +231,7 @@ ${this._generateParamDocs(exampleParams)}
     session.mount("https://", adapter)
 
     try:
-        response = session.post(
+        response = session.${method.toLowerCase()}(
             url,
             json=payload,
             timeout=30
@@ -285,24 +289,24 @@ if __name__ == "__main__":
    */
   _generateAsyncExample(name, apiPath, method, exampleParams, contentType, baseUrl) {
     const functionName = this._pathToFunctionName(apiPath);
-    // 确保apiPath以斜杠开头
-    const normalizedPath = apiPath.startsWith('/') ? apiPath : `/${apiPath}`;
-    const url = `${baseUrl}${normalizedPath}`;
-    const paramsStr = JSON.stringify(exampleParams, null, 4);
+    const url = this._buildUrl(apiPath, baseUrl);
+    const paramsStr = JSON.stringify(this._omitPathParams(apiPath, exampleParams), null, 4);
 
-    if (method === 'GET') {
+    if (this._usesQueryString(method)) {
       return `import asyncio
 import aiohttp
 
-async def ${functionName}():
+async def ${functionName}(${this._generateParamSignature(exampleParams)}):
     """${name}（异步版本）"""
-    url = "${url}"
+    url = ${url}
+
+    params = ${paramsStr}
 
     timeout = aiohttp.ClientTimeout(total=30)
 
     async with aiohttp.ClientSession(timeout=timeout) as session:
         try:
-            async with session.get(url) as response:
+            async with session.${method.toLowerCase()}(url, params=params) as response:
                 response.raise_for_status()
                 result = await response.json()
 
@@ -321,7 +325,7 @@ async def ${functionName}():
 
 # 使用示例
 async def main():
-    result = await ${functionName}()
+    result = await ${functionName}(${this._generateParamCall(exampleParams)})
     if result:
         print("✅ 获取成功！")
         print(result)
@@ -346,7 +350,7 @@ ${this._generateParamDocs(exampleParams)}
     Returns:
         dict: API返回的数据
     """
-    url = "${url}"
+    url = ${url}
 
     payload = ${paramsStr}
 
@@ -354,7 +358,7 @@ ${this._generateParamDocs(exampleParams)}
 
     async with aiohttp.ClientSession(timeout=timeout) as session:
         try:
-            async with session.post(url, json=payload) as response:
+            async with session.${method.toLowerCase()}(url, json=payload) as response:
                 response.raise_for_status()
                 result = await response.json()
 
@@ -389,24 +393,51 @@ if __name__ == "__main__":
    * 将API路径转换为函数名
    */
   _pathToFunctionName(apiPath) {
-    // 移除开头的斜杠，转换为下划线命名
-    return apiPath.replace(/^\//, '').replace(/[/-]/g, '_');
+    // 移除开头的斜杠和路径参数的冒号，转换为下划线命名
+    return apiPath.replace(/^\//, '').replace(/:/g, '').replace(/[/-]/g, '_');
   }
 
   /**
-   * 解析参数
+   * 生成请求地址的 Python 表达式
+   * 路径参数（:orderId）生成 f-string: f"http://host/api/orders/{orderId}/items"
    */
-  _parseParams(apiParams) {
-    if (!apiParams) return [];
+  _buildUrl(apiPath, baseUrl) {
+    // 确保apiPath以斜杠开头
+    const normalizedPath = apiPath.startsWith('/') ? apiPath : `/${apiPath}`;
 
-    try {
-      if (typeof apiParams === 'string') {
-        return JSON.parse(apiParams);
-      }
-      return apiParams;
-    } catch (e) {
-      return [];
+    if (getPathParamNames(apiPath).length === 0) {
+      return `"${baseUrl}${normalizedPath}"`;
     }
+
+    return `f"${baseUrl}${normalizedPath.replace(/:([A-Za-z_]\w*)/g, '{$1}')}"`;
+  }
+
+  /**
+   * 示例参数中补充缺失的路径参数
+   */
+  _withPathParams(apiPath, exampleParams) {
+    const pathParams = {};
+    for (const name of getPathParamNames(apiPath)) {
+      pathParams[name] = exampleParams[name] !== undefined ? exampleParams[name] : 1;
+    }
+    return { ...pathParams, ...exampleParams };
+  }
+
+  /**
+   * GET / DELETE 请求的参数放在查询字符串中，其他方法放在 JSON 请求体中
+   */
+  _usesQueryString(method) {
+    return method === 'GET' || method === 'DELETE';
+  }
+
+  /**
+   * 去掉示例参数中的路径参数（路径参数不放在请求体中）
+   */
+  _omitPathParams(apiPath, exampleParams) {
+    const pathParamNames = getPathParamNames(apiPath);
+    return Object.fromEntries(
+      Object.entries(exampleParams).filter(([key]) => !pathParamNames.includes(key))
+    );
   }
 
   /**
@@ -426,20 +457,10 @@ if __name__ == "__main__":
   }
 
   /**
-   * 确定HTTP方法（与运行时逻辑保持一致）
+   * 确定HTTP方法（与运行时逻辑保持一致，配置了多个方法时使用第一个）
    */
-  _determineMethod(params, contentType) {
-    // 1. 优先检查 contentType（与 autoRoutes.js 逻辑一致）
-    if (contentType === 'application/json' || contentType === 'application/x-www-form-urlencoded') {
-      return 'POST';
-    }
-
-    // 2. 再检查参数
-    if (!params || params.length === 0) {
-      return 'GET';
-    }
-
-    return 'POST';
+  _determineMethod(api) {
+    return resolveApiMethods(api)[0];
   }
 
   /**
@@ -0,0 +1,261 @@
+/**
+ * API 路由索引
+ * 配置变化时构建一次，请求时直接查表，避免每个请求线性扫描全部 API 和解析 JSON
+ *
+ * - 静态路径: "METHOD path" => 路由项 的 Map
+ * - 路径模板: 按路径段构建的前缀树，静态段优先于 :name 参数段，匹配失败时回溯
+ *
+ * 路由项中 task / dagData / pagination / stream / exportColumns / 查询限制 / params / paramRules 已预先解析，参数的 JSON Schema 和 SQL 片段也已预先构建，
+ * 需要作为参数记录结果的步骤也已预先计算
+ */
+
+import { normalizeApiPath, parsePathTemplate } from './pathTemplate.js';
+import { resolveApiMethods } from './apiMethods.js';
+import { createFragmentResolver, normalizeParamDefinitions } from '../database/queryParser.js';
+import { normalizeParamRules } from '../database/paramRules.js';
+import { parseDagConfig } from '../database/dagConfig.js';
+import { normalizePagination } from '../database/pagination.js';
+import { normalizeStreamConfig } from '../database/streaming.js';
+import { normalizeQueryLimits } from '../database/queryLimits.js';
+import { normalizeExportColumns } from './exportFormats.js';
+import { collectRecordedSteps } from '../database/executor.js';
+
+class RouteNode {
+  constructor() {
+    this.staticChildren = new Map();
+    this.paramChild = null;
+    // HTTP 方法 => 路由项
+    this.routes = new Map();
+  }
+}
+
+export class RouteIndex {
+  constructor() {
+    this.staticRoutes = new Map();
+    // 静态路径 => 支持的方法（用于 405 响应）
+    this.staticMethods = new Map();
+    this.root = new RouteNode();
+    this.size = 0;
+    // 无法解析的 API 配置错误
+    this.errors = [];
+  }
+
+  /**
+   * 查找路由
+   * 优先精确匹配；否则在路径模板树中按"静态段优先"的顺序匹配
+   * @param {string} method - HTTP 方法
+   * @param {string} requestPath - 请求路径（未解码）
+   * @returns {{route: Object|null, pathParams: Object, allowedMethods: Array<string>}}
+   *   路径匹配但方法不支持时 route 为 null，allowedMethods 为该路径支持的方法
+   */
+  match(method, requestPath) {
+    const normalizedPath = normalizeApiPath(requestPath);
+
+    const route = this.staticRoutes.get(`${method} ${normalizedPath}`);
+    if (route) {
+      return { route, pathParams: {}, allowedMethods: route.methods };
+    }
+
+    const allowedMethods = new Set(this.staticMethods.get(normalizedPath) || []);
+    const segments = normalizedPath.split('/');
+
+    for (const { node, values } of this._walk(this.root, segments, 0, [])) {
+      const matched = node.routes.get(method);
+      if (matched) {
+        const pathParams = decodePathParams(matched.pathParamNames, values);
+        if (pathParams) {
+          return { route: matched, pathParams, allowedMethods: matched.methods };
+        }
+        // 非法的百分号编码，视为不匹配
+        continue;
+      }
+      node.routes.forEach((r, m) => allowedMethods.add(m));
+    }
+
+    return { route: null, pathParams: {}, allowedMethods: [...allowedMethods] };
+  }
+
+  /**
+   * 按优先级遍历能匹配请求路径的节点
+   */
+  *_walk(node, segments, depth, values) {
+    if (depth === segments.length) {
+      if (node.routes.size > 0) {
+        yield { node, values };
+      }
+      return;
+    }
+
+    const segment = segments[depth];
+
+    const staticChild = node.staticChildren.get(segment);
+    if (staticChild) {
+      yield* this._walk(staticChild, segments, depth + 1, values);
+    }
+
+    if (node.paramChild && segment !== '') {
+      yield* this._walk(node.paramChild, segments, depth + 1, [...values, segment]);
+    }
+  }
+
+  /**
+   * 添加路由项
+   * 同一路径和方法重复配置时（包括只有参数名不同的路径模板，如 /a/:id 和 /a/:orderId），
+   * 保留配置文件中靠前的一个，并记录到 errors
+   */
+  add(route) {
+    const template = parsePathTemplate(route.api.path);
+    const normalizedPath = normalizeApiPath(route.api.path);
+
+    if (!template.isTemplate) {
+      const methods = this.staticMethods.get(normalizedPath) || new Set();
+      for (const method of route.methods) {
+        const key = `${method} ${normalizedPath}`;
+        if (!this.staticRoutes.has(key)) {
+          this.staticRoutes.set(key, route);
+        } else {
+          this._addDuplicateError(route, method, this.staticRoutes.get(key));
+        }
+        methods.add(method);
+      }
+      this.staticMethods.set(normalizedPath, methods);
+      this.size++;
+      return;
+    }
+
+    let node = this.root;
+    for (const segment of template.segments) {
+      if (segment.param) {
+        node.paramChild = node.paramChild || new RouteNode();
+        node = node.paramChild;
+      } else {
+        if (!node.staticChildren.has(segment.value)) {
+          node.staticChildren.set(segment.value, new RouteNode());
+        }
+        node = node.staticChildren.get(segment.value);
+      }
+    }
+
+    for (const method of route.methods) {
+      if (!node.routes.has(method)) {
+        node.routes.set(method, route);
+      } else {
+        this._addDuplicateError(route, method, node.routes.get(method));
+      }
+    }
+    this.size++;
+  }
+
+  _addDuplicateError(route, method, existing) {
+    this.errors.push(`API "${route.api.name}" 的路径 ${route.api.path} 的 ${method} 方法与 API "${existing.api.name}"（${existing.api.path}）重复，无法访问`);
+  }
+}
+
+/**
+ * 根据配置构建路由索引（只包含已启用的 API）
+ * 单个 API 的 task/params 无法解析时不影响其他 API，请求该 API 时返回 configError
+ * @param {Object} config - API 配置（api_config (1).json 的内容）
+ * @returns {RouteIndex}
+ */
+export function buildRouteIndex(config) {
+  const index = new RouteIndex();
+  const fragmentsByGroup = new Map();
+
+  for (const api of config.api || []) {
+    if (api.status !== 1) {
+      continue;
+    }
+
+    if (!fragmentsByGroup.has(api.groupId)) {
+      fragmentsByGroup.set(api.groupId, createFragmentResolver(config.sqlFragments, api.groupId));
+    }
+
+    const route = compileRoute(api, fragmentsByGroup.get(api.groupId));
+    if (route.configError) {
+      index.errors.push(route.configError);
+    }
+    index.add(route);
+  }
+
+  return index;
+}
+
+/**
+ * 预解析单个 API
+ */
+function compileRoute(api, fragments) {
+  const route = {
+    api,
+    methods: resolveApiMethods(api),
+    pathParamNames: parsePathTemplate(api.path).paramNames,
+    fragments,
+    task: [],
+    dag: null,
+    pagination: null,
+    stream: null,
+    exportColumns: null,
+    limits: null,
+    recordedSteps: null,
+    params: [],
+    paramRules: {},
+    paramsSchema: null,
+    configError: null
+  };
+
+  try {
+    route.task = typeof api.task === 'string' ? JSON.parse(api.task) : (api.task || []);
+    route.dag = parseDagConfig(api);
+    route.pagination = normalizePagination(api.pagination);
+    route.stream = normalizeStreamConfig(api.stream);
+    route.exportColumns = normalizeExportColumns(api.exportColumns);
+    route.limits = normalizeQueryLimits(api);
+    route.recordedSteps = route.dag
+      ? collectRecordedSteps(route.dag.nodes, { fragments, dag: true })
+      : collectRecordedSteps(route.task, { fragments });
+    route.params = normalizeParamDefinitions(api.params);
+    route.paramRules = normalizeParamRules(api.paramRules);
+    route.paramsSchema = buildParamsSchema(route.params);
+  } catch (error) {
+    console.error(`❌ 解析 API 配置失败 [${api.path}]:`, error.message);
+    route.configError = `API "${api.name}" 配置解析失败: ${error.message}`;
+  }
+
+  return route;
+}
+
+/**
+ * 根据参数定义构建 JSON Schema
+ * 只包含声明了 schema（完整 JSON Schema）或 items（数组元素的 JSON Schema）的参数
+ * 示例:
+ *   {"name": "items", "type": "array", "items": {"type": "object", "required": ["sku"], "properties": {"sku": {"type": "string"}}}}
+ *   {"name": "order", "type": "object", "schema": {"type": "object", "properties": {"id": {"type": "integer"}}}}
+ * @returns {Object|null} 没有需要校验的参数时返回 null
+ */
+function buildParamsSchema(paramDefinitions) {
+  const properties = {};
+  for (const paramDef of paramDefinitions) {
+    if (paramDef.schema) {
+      properties[paramDef.name] = paramDef.schema;
+    } else if (paramDef.items) {
+      properties[paramDef.name] = { type: 'array', items: paramDef.items };
+    }
+  }
+
+  return Object.keys(properties).length > 0 ? { type: 'object', properties } : null;
+}
+
+/**
+ * 路径参数解码
+ * @returns {Object|null} 包含非法的百分号编码时返回 null
+ */
+function decodePathParams(names, values) {
+  const params = {};
+  try {
+    names.forEach((name, i) => {
+      params[name] = decodeURIComponent(values[i]);
+    });
+  } catch (e) {
+    return null;
+  }
+  return params;
+}
@@ -1,56 +1,125 @@
 /**
- * 配置缓存管理器
- * 负责清空API配置缓存，实现真正的热加载
+ * 配置热加载管理器
+ * 监听 API 配置文件的变化，自动重新加载配置（新配置校验通过后才替换，无效时继续使用旧配置）
  */
 
-import { clearConfigCache } from '../routes/autoRoutes.js';
+import fs from 'fs';
+import path from 'path';
+import { reloadApiConfig, getReloadStatus } from '../routes/autoRoutes.js';
+
+// 文件变化后等待一段时间再加载（编辑器保存时可能触发多次事件，或分多次写入）
+const RELOAD_DEBOUNCE = 300;
+// fs.watch 不可用时的轮询间隔
+const POLL_INTERVAL = 2000;
 
 class RouteReloader {
   constructor() {
     this.initialized = false;
+    this.configPath = null;
+    this.watcher = null;
+    this.watchMode = null;
+    this.debounceTimer = null;
   }
 
   /**
-   * 初始化（保持兼容性）
+   * 初始化：开始监听配置文件
    */
   initialize(fastify, configPath) {
+    this.configPath = configPath;
     this.initialized = true;
-    console.log('📌 配置缓存管理器已初始化');
+    this._startWatching();
+
+    fastify.addHook('onClose', async () => {
+      this.close();
+    });
+
+    console.log(`📌 配置热加载管理器已初始化（${this.watchMode === 'watch' ? '文件监听' : '轮询'}）`);
   }
 
   /**
-   * 重新加载API路由（实际上是清空缓存）
+   * 立即重新加载API配置
+   * 管理接口修改配置后调用，不等待文件监听事件
    */
   async reload() {
     if (!this.initialized) {
-      console.warn('⚠️  配置缓存管理器未初始化');
+      console.warn('⚠️  配置热加载管理器未初始化');
+      return {
+        success: false,
+        message: '配置热加载管理器未初始化',
+        errors: []
+      };
     }
 
-    try {
-      const startTime = Date.now();
+    return reloadApiConfig(this.configPath, 'manual');
+  }
 
-      // 清空配置缓存
-      clearConfigCache();
+  /**
+   * 获取热加载状态
+   */
+  getStatus() {
+    return {
+      configPath: this.configPath ? path.resolve(this.configPath) : null,
+      watchMode: this.watchMode,
+      ...getReloadStatus()
+    };
+  }
 
-      const duration = Date.now() - startTime;
+  /**
+   * 停止监听
+   */
+  close() {
+    clearTimeout(this.debounceTimer);
+    if (this.watchMode === 'watch' && this.watcher) {
+      this.watcher.close();
+    } else if (this.watchMode === 'poll') {
+      fs.unwatchFile(path.resolve(this.configPath));
+    }
+    this.watcher = null;
+    this.watchMode = null;
+  }
 
-      console.log(`✅ 配置缓存已清空！下次请求将重新加载配置`);
-      console.log(`   - 耗时: ${duration}ms`);
+  /**
+   * 监听配置文件所在目录（编辑器常用"写临时文件再重命名"的方式保存，直接监听文件会丢失后续事件）
+   * fs.watch 不可用时（如部分网络文件系统）退回轮询
+   */
+  _startWatching() {
+    const absolutePath = path.resolve(this.configPath);
+    const fileName = path.basename(absolutePath);
 
-      return {
-        success: true,
-        message: '配置缓存已清空，新配置将在下次请求时生效',
-        duration: `${duration}ms`
-      };
+    try {
+      this.watcher = fs.watch(path.dirname(absolutePath), (eventType, changedFile) => {
+        if (!changedFile || changedFile.toString() === fileName) {
+          this._scheduleReload();
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.error('❌ 配置文件监听出错，改为轮询:', error.message);
+        this.watcher.close();
+        this._startPolling(absolutePath);
+      });
+      this.watchMode = 'watch';
     } catch (error) {
-      console.error('❌ 清空配置缓存失败:', error);
-      return {
-        success: false,
-        message: '清空配置缓存失败: ' + error.message,
-        error: error.stack
-      };
+      console.warn('⚠️  无法监听配置文件，改为轮询:', error.message);
+      this._startPolling(absolutePath);
     }
   }
+
+  _startPolling(absolutePath) {
+    fs.watchFile(absolutePath, { interval: POLL_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) {
+        this._scheduleReload();
+      }
+    });
+    this.watcher = null;
+    this.watchMode = 'poll';
+  }
+
+  _scheduleReload() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      reloadApiConfig(this.configPath, 'watch');
+    }, RELOAD_DEBOUNCE);
+  }
 }
 
 export default new RouteReloader();
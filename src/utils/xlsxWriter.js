@@ -0,0 +1,200 @@
+/**
+ * 最小的 XLSX 生成器
+ * 只生成一个工作表（字符串使用内联字符串，不需要共享字符串表），不依赖第三方库
+ *
+ * XLSX 是包含若干 XML 文件的 ZIP 包，这里直接写出 ZIP 结构（deflate 压缩）
+ */
+
+import zlib from 'zlib';
+
+// XML 1.0 不允许的控制字符
+const INVALID_XML_CHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+// 工作表名称不允许的字符，最长 31 个字符
+const INVALID_SHEET_NAME_CHARS = /[\[\]:*?/\\]/g;
+const SHEET_NAME_MAX_LENGTH = 31;
+
+/**
+ * 生成 XLSX 文件
+ * @param {Array<Array<any>>} rows - 单元格的值（第一行通常是表头）；数字按数字写入，其他按字符串写入，null/undefined 为空单元格
+ * @param {Object} options
+ * @param {string} options.sheetName - 工作表名称
+ * @returns {Buffer}
+ */
+export function createXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+  const name = sheetName.replace(INVALID_SHEET_NAME_CHARS, '_').slice(0, SHEET_NAME_MAX_LENGTH) || 'Sheet1';
+
+  return createZip([
+    ['[Content_Types].xml', CONTENT_TYPES_XML],
+    ['_rels/.rels', ROOT_RELS_XML],
+    ['xl/workbook.xml', workbookXml(name)],
+    ['xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML],
+    ['xl/styles.xml', STYLES_XML],
+    ['xl/worksheets/sheet1.xml', sheetXml(rows)]
+  ]);
+}
+
+function sheetXml(rows) {
+  const rowsXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXml(`${columnName(c)}${r + 1}`, value, r === 0)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+/**
+ * 单元格（表头使用加粗样式）
+ */
+function cellXml(ref, value, isHeader) {
+  const style = isHeader ? ' s="1"' : '';
+
+  if (value === null || value === undefined) {
+    return `<c r="${ref}"${style}/>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  }
+
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+/**
+ * 列序号（从 0 开始）转换为列名: 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function workbookXml(sheetName) {
+  return `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES_XML = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+// 样式 0: 默认；样式 1: 加粗（表头）
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+// ZIP 中文件的修改日期固定为 1980-01-01（DOS 日期格式）
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * 生成 ZIP 包
+ * @param {Array<[string, string]>} files - [文件名, 内容]
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const fileName = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);     // 本地文件头标识
+    local.writeUInt16LE(20, 4);             // 解压所需版本
+    local.writeUInt16LE(0x0800, 6);         // 文件名使用 UTF-8
+    local.writeUInt16LE(8, 8);              // deflate
+    local.writeUInt16LE(0, 10);             // 修改时间
+    local.writeUInt16LE(DOS_DATE, 12);      // 修改日期
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);             // 扩展字段长度
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);   // 中央目录标识
+    central.writeUInt16LE(20, 4);           // 创建版本
+    central.writeUInt16LE(20, 6);           // 解压所需版本
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    // 扩展字段、注释长度，磁盘号，内部/外部属性均为 0
+    central.writeUInt32LE(offset, 42);      // 本地文件头的偏移
+
+    localParts.push(local, fileName, compressed);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);         // 中央目录结束标识
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}